@@ -1,73 +1,123 @@
-import { useEffect, useMemo, useState } from 'react'
-import { MapContainer, TileLayer, Marker, Polyline, useMapEvents } from 'react-leaflet'
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { MapContainer, Marker, Circle, CircleMarker, useMapEvents } from 'react-leaflet'
 import L from 'leaflet'
+import { Link } from 'react-router-dom'
 import 'leaflet/dist/leaflet.css'
+import { useBackend, isAbort, describeError } from './lib/api'
+import { Section, Badge, Toggle } from './components/ui'
+import { useOutbox, PRIORITY } from './lib/outbox'
+import { useAuth } from './lib/auth'
+import { useGeolocation } from './lib/geolocation'
+import { useNavigation } from './lib/navigation'
+import NavigationPanel, { FollowPosition } from './components/NavigationPanel'
+import SosCountdown from './components/SosCountdown'
+import { SafetyRoute, SafetyLegend } from './components/SafetyRoute'
+import { hasSegmentData, hasUnscored } from './lib/segments'
+import ReportsLayer, { ReportFilters } from './components/ReportsLayer'
+import { REPORT_CATEGORIES } from './lib/reports'
+import LocationPicker from './components/LocationPicker'
+import { compressImage, MAX_PHOTOS } from './lib/images'
+import AddressSearch, { PlaceLabel } from './components/AddressSearch'
+import WaypointList, { WaypointMarkers, newWaypoint, waypointPayload, MAX_WAYPOINTS } from './components/WaypointList'
+import { toPoints, cumulative, project } from './lib/geo'
+import { useRouteDrag } from './components/RouteDrag'
+import RouteComparison, { ComparisonOverlay, comparisonRows } from './components/RouteComparison'
+import { MODES, modeOf } from './lib/modes'
+import { useProfiles, modePayload, profileMode, profileOf, isProfileMode } from './lib/profiles'
+import ProfileManager from './components/ProfileManager'
+import { useTrip } from './lib/trip'
+import { useTripMonitor, CHECK_INTERVAL_MS } from './lib/tripMonitor'
+import { usePreferences, WOMEN_ALERT_CATEGORIES } from './lib/preferences'
+import MapTiles from './components/MapTiles'
+import { useLiveShare, PUSH_INTERVAL_MS } from './lib/liveShare'
+import LiveSharePanel from './components/LiveSharePanel'
+import { useGuardians, useCheckIns, guardianId, CHECKIN_LOCATION_MS } from './lib/guardians'
+import GuardianContacts from './components/GuardianContacts'
+import CheckInTimer from './components/CheckInTimer'
+import { useBattery, useLowBattery } from './lib/battery'
+import BatteryStatus from './components/BatteryStatus'
+import { createTracker } from './lib/navigation'
+import { useBookmarks } from './lib/bookmarks'
+import { useTripHistory, tripsQuery, EMPTY_TRIP_FILTERS } from './lib/tripHistory'
+import TripHistory, { tripModeLabel } from './components/TripHistory'
+import TrackImport, { ExportButtons, ImportedTrackLayer } from './components/RouteExport'
+import { routeRecord } from './lib/routeExport'
+import { useCompanions, companionId, defaultWindow, GENDERS, INVITE_POLL_MS } from './lib/companions'
+import CompanionThread from './components/CompanionThread'
+import { withRouteId, routeSnapshot, tripRoute } from './lib/routes'
+import Bookmarks, { TagPicker } from './components/Bookmarks'
+import { timeOfDayAt } from './lib/sun'
+import DeparturePlanner, { toLocalInput } from './components/DeparturePlanner'
 
-const API_BASE = import.meta.env.VITE_BACKEND_URL || 'http://localhost:8000'
+// Fix default marker icons for Leaflet when bundling
+const DefaultIcon = L.icon({
+  iconUrl: 'https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon.png',
+  iconRetinaUrl: 'https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon-2x.png',
+  shadowUrl: 'https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png',
+  iconSize: [25, 41],
+  iconAnchor: [12, 41],
+})
+L.Marker.prototype.options.icon = DefaultIcon
 
-function Section({ title, children, actions }) {
+function OutboxStatus() {
+  const { pending, failed, error, retryFailed, discardFailed } = useOutbox()
+  if (!pending && !failed && !error) return null
   return (
-    <div className="bg-white/80 backdrop-blur shadow rounded-xl p-4 md:p-6 border border-gray-100">
-      <div className="flex items-center justify-between mb-3">
-        <h2 className="text-lg md:text-xl font-semibold text-gray-800">{title}</h2>
-        {actions}
-      </div>
-      {children}
+    <div className="flex items-center gap-2">
+      {error && <Badge color="red" title={error}>Offline saving unavailable</Badge>}
+      {!!pending && <Badge color="amber">{pending} waiting to sync</Badge>}
+      {!!failed && (
+        <>
+          <Badge color="red">{failed} failed</Badge>
+          <button onClick={retryFailed} className="px-2 py-0.5 text-xs rounded border">Retry</button>
+          <button onClick={discardFailed} className="px-2 py-0.5 text-xs rounded border text-red-600">Discard</button>
+        </>
+      )}
     </div>
   )
 }
 
-function Badge({ children, color = 'blue' }) {
-  const colors = {
-    blue: 'bg-blue-50 text-blue-700 border-blue-200',
-    green: 'bg-green-50 text-green-700 border-green-200',
-    red: 'bg-red-50 text-red-700 border-red-200',
-    amber: 'bg-amber-50 text-amber-700 border-amber-200',
-    violet: 'bg-violet-50 text-violet-700 border-violet-200',
-    gray: 'bg-gray-50 text-gray-700 border-gray-200',
-    slate: 'bg-slate-50 text-slate-700 border-slate-200',
-  }
-  return <span className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs border ${colors[color] || colors.blue}`}>{children}</span>
+// Payload fields describing how trustworthy the position sent with an event is.
+const locationPayload = (position) => position ? {
+  location: { lat: position.lat, lon: position.lon },
+  location_accuracy_m: position.accuracy ?? null,
+  location_source: position.manual ? 'manual' : 'device',
+  location_stale: !!position.stale,
+} : { location: null }
+
+function LocationStatus({ night }) {
+  const { status, position, stale, error } = useGeolocation()
+  if (status === 'denied' || status === 'unavailable' || status === 'error') {
+    return <Badge color="red" title={error || ''}>{position?.manual ? 'Using location picked on map' : 'Location off — pick on map'}</Badge>
+  }
+  if (!position) return <Badge color="gray">Locating…</Badge>
+  if (stale) return <Badge color="amber">Last fix is stale</Badge>
+  return <Badge color={night ? 'violet' : 'green'}>{position.manual ? 'Manual location' : `GPS ±${Math.round(position.accuracy || 0)}m`}</Badge>
 }
 
-function Toggle({ label, checked, onChange }) {
+function MyPositionMarker() {
+  const { position, stale } = useGeolocation()
+  if (!position) return null
+  const color = position.manual ? '#7c3aed' : stale ? '#d97706' : '#16a34a'
   return (
-    <label className="flex items-center gap-2 cursor-pointer select-none">
-      <div className={`w-10 h-6 rounded-full p-0.5 transition ${checked ? 'bg-blue-600' : 'bg-gray-300'}`}
-        onClick={() => onChange(!checked)}>
-        <div className={`h-5 w-5 rounded-full bg-white shadow transform transition ${checked ? 'translate-x-4' : ''}`}></div>
-      </div>
-      <span className="text-sm text-gray-700">{label}</span>
-    </label>
+    <>
+      {position.accuracy > 0 && <Circle center={[position.lat, position.lon]} radius={position.accuracy} pathOptions={{ color, weight: 1, fillOpacity: 0.08 }} />}
+      <CircleMarker center={[position.lat, position.lon]} radius={7} pathOptions={{ color: '#fff', weight: 2, fillColor: color, fillOpacity: 1 }} />
+    </>
   )
 }
 
-function useBackend() {
-  const get = (path) => fetch(`${API_BASE}${path}`).then(r => r.json())
-  const post = (path, body) => fetch(`${API_BASE}${path}`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body)
-  }).then(r => r.json())
-  const del = (path) => fetch(`${API_BASE}${path}`, { method: 'DELETE' }).then(r => r.json())
-  return { get, post, del }
-}
-
-// Fix default marker icons for Leaflet when bundling
-const DefaultIcon = L.icon({
-  iconUrl: 'https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon.png',
-  iconRetinaUrl: 'https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon-2x.png',
-  shadowUrl: 'https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png',
-  iconSize: [25, 41],
-  iconAnchor: [12, 41],
-})
-L.Marker.prototype.options.icon = DefaultIcon
-
-function MapClickSelector({ selecting, setSelecting, setStart, setEnd }) {
+function MapClickSelector({ selecting, setSelecting, setStart, setEnd, setManual, addWaypoint }) {
   useMapEvents({
     click(e) {
       const { lat, lng } = e.latlng
-      if (selecting === 'start') {
+      if (selecting === 'via') {
+        addWaypoint({ lat, lon: lng })
+        setSelecting(null)
+      } else if (selecting === 'me') {
+        setManual({ lat, lon: lng })
+        setSelecting(null)
+      } else if (selecting === 'start') {
         setStart({ lat, lon: lng })
         setSelecting('end')
       } else if (selecting === 'end') {
@@ -79,74 +129,103 @@ function MapClickSelector({ selecting, setSelecting, setStart, setEnd }) {
   return null
 }
 
+const AUTO_RECOMPUTE_MS = 600
+
 function Planner() {
-  const { post, get, del } = useBackend()
-  const [mode, setMode] = useState('balanced')
-  const [timeOfDay, setTimeOfDay] = useState('day')
+  const { post, get, del, track, loading, error, clearError } = useBackend()
+  const { send } = useOutbox()
+  const { position, setManual } = useGeolocation()
+  const { startTrip, updateRoute, endTrip, setPlan } = useTrip()
+  const { women, night } = usePreferences()
+  const [mode, setMode] = useState(women ? 'female_friendly' : 'balanced')
+  const [timing, setTiming] = useState({ kind: 'depart', value: '' }) // value '' = leave now
   const [autoRefresh, setAutoRefresh] = useState(true)
   const [result, setResult] = useState(null)
 
   const [start, setStart] = useState({ lat: 28.6315, lon: 77.2167 })
   const [end, setEnd] = useState({ lat: 28.6129, lon: 77.2295 })
+  const [waypoints, setWaypoints] = useState([])
+  const [comparison, setComparison] = useState(null) // { results: [{ mode, route, alternatives, error }], loading }
+  const skipAutoRefresh = useRef(false)
   const [selecting, setSelecting] = useState(null)
 
   const [chosenRoute, setChosenRoute] = useState(null)
   const [alternatives, setAlternatives] = useState([])
-  const [userId, setUserId] = useState('user_a')
+  const { uid: userId } = useAuth()
+  const bookmarkStore = useBookmarks(userId)
+  const profileStore = useProfiles(userId)
+  const { profiles } = profileStore
+  const [showProfiles, setShowProfiles] = useState(false)
   const [logStatus, setLogStatus] = useState('')
+  const [navigating, setNavigating] = useState(false)
+  const [replanning, setReplanning] = useState(false)
+  const [arrived, setArrived] = useState(false)
+  const [showReports, setShowReports] = useState(false)
+  const [reportCategories, setReportCategories] = useState(REPORT_CATEGORIES.map(c => c.value))
+  const [reportAge, setReportAge] = useState(24 * 7)
 
   // My Trips and Bookmarks
-  const [trips, setTrips] = useState([])
-  const [loadingTrips, setLoadingTrips] = useState(false)
-  const [tripFilter, setTripFilter] = useState('all')
+  const [tripFilters, setTripFilters] = useState(EMPTY_TRIP_FILTERS)
+  const tripHistory = useTripHistory(userId, tripFilters)
   const [summary, setSummary] = useState(null)
-  const [bookmarks, setBookmarks] = useState([])
   const [bookmarkName, setBookmarkName] = useState('Home ⇄ Work')
+  const [bookmarkTags, setBookmarkTags] = useState([])
+  const [bookmarkPrefs, setBookmarkPrefs] = useState(false)
+  const [importedTrack, setImportedTrack] = useState(null) // { record, route, scoring, error }
 
   const center = useMemo(() => ({
     lat: (start.lat + end.lat) / 2,
     lon: (start.lon + end.lon) / 2,
   }), [start, end])
 
-  const loadTrips = async (uid) => {
+  const loadSummary = async (uid) => {
     if (!uid) return
     try {
-      setLoadingTrips(true)
-      const t = await get(`/api/trips?user_uid=${encodeURIComponent(uid)}`)
-      setTrips(t.trips || [])
-      const s = await get(`/api/trips/summary?user_uid=${encodeURIComponent(uid)}`)
-      setSummary(s)
-    } finally {
-      setLoadingTrips(false)
+      setSummary(await get(`/api/trips/summary?user_uid=${encodeURIComponent(uid)}`, { key: 'summary' }))
+    } catch {
+      // surfaced through useBackend().error
     }
   }
 
-  // Bookmarks persistence (localStorage)
-  useEffect(() => {
-    try {
-      const raw = localStorage.getItem('sr_bookmarks')
-      if (raw) setBookmarks(JSON.parse(raw))
-    } catch {}
-  }, [])
-  const saveBookmarks = (next) => {
-    setBookmarks(next)
-    try { localStorage.setItem('sr_bookmarks', JSON.stringify(next)) } catch {}
-  }
+  useEffect(() => { loadSummary(userId) }, [userId])
 
-  useEffect(() => { loadTrips(userId) }, [userId])
+  // An arrival time is turned into a departure using the current route's ETA.
+  const departureAt = () => {
+    const at = timing.value ? new Date(timing.value) : new Date()
+    if (timing.kind !== 'arrive') return at
+    return new Date(at.getTime() - (chosenRoute?.eta_minutes || 0) * 60000)
+  }
+  const departAt = departureAt()
+  // NightShield plans every route as a night route whatever the clock says.
+  const timeOfDay = night ? 'night' : timeOfDayAt(departAt, start)
 
-  const showSafest = async (opts) => {
+  const planBody = (opts) => {
     const s = opts?.start || start
-    const e = opts?.end || end
-    const m = opts?.mode || mode
-    const t = opts?.time_of_day || timeOfDay
+    const at = opts?.departAt || departureAt()
+    return {
+      start: s,
+      end: opts?.end || end,
+      waypoints: waypointPayload(opts?.waypoints || waypoints),
+      ...modePayload(opts?.mode || mode, profiles),
+      time_of_day: night ? 'night' : timeOfDayAt(at, s),
+      departure_time: at.toISOString(),
+      ...(timing.kind === 'arrive' && timing.value && !opts?.departAt ? { arrival_time: new Date(timing.value).toISOString() } : {}),
+    }
+  }
 
-    setChosenRoute(null)
-    setAlternatives([])
-    setLogStatus('')
-    const data = await post('/api/routes/plan', { start: s, end: e, mode: m, time_of_day: t })
-    setChosenRoute(data.chosen)
-    setAlternatives(data.alternatives || [])
+  // Used by the departure window scan: plans without touching the chosen route.
+  const planAt = async (at, key) => {
+    const body = planBody({ departAt: at })
+    const data = await post('/api/routes/plan', body, { key })
+    return { data, bucket: body.time_of_day }
+  }
+
+  // A re-plan during navigation remembers the route it replaced as `planned`,
+  // which is what gets logged: it starts at the trip's origin.
+  const applyPlan = (data) => {
+    const stamp = (r) => (r && data.replanOf ? { ...withRouteId(r), planned: data.replanOf } : withRouteId(r))
+    setChosenRoute(stamp(data.chosen))
+    setAlternatives((data.alternatives || []).map(stamp))
     setResult({
       mode: data.mode,
       eta_minutes: data.chosen?.eta_minutes,
@@ -155,129 +234,343 @@ function Planner() {
     })
   }
 
-  // Auto recompute when mode/time/start/end change (if previously computed)
-  useEffect(() => {
-    if (autoRefresh && result) {
-      showSafest()
+  const showSafest = async (opts) => {
+    setLogStatus('')
+    setComparison(null)
+    let data
+    try {
+      data = await post('/api/routes/plan', planBody(opts), { key: 'plan' })
+    } catch (err) {
+      if (!isAbort(err) && !opts?.keepRoute) {
+        setChosenRoute(null)
+        setAlternatives([])
+      }
+      return
     }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [mode, timeOfDay, start, end])
+    applyPlan({ ...data, mode: opts?.mode || mode, replanOf: opts?.replanOf })
+    return data
+  }
 
-  const routeId = useMemo(() => {
-    if (!chosenRoute?.geometry?.coordinates?.length) return ''
-    const head = chosenRoute.geometry.coordinates[0]
-    const tail = chosenRoute.geometry.coordinates[chosenRoute.geometry.coordinates.length - 1]
-    return `r_${head[0].toFixed(4)}_${head[1].toFixed(4)}_${tail[0].toFixed(4)}_${tail[1].toFixed(4)}_${Math.round(chosenRoute.distance_m)}`
+  // Plans every built-in mode in parallel for the comparison table; rows fill
+  // in as each response arrives.
+  const compareModes = async () => {
+    const results = MODES.map(m => ({ mode: m.value, route: null, error: null }))
+    const update = (i, patch) => {
+      results[i] = { ...results[i], ...patch }
+      setComparison(c => c && { ...c, results: results.slice() })
+    }
+    setComparison({ results: results.slice(), loading: true })
+    await Promise.all(MODES.map((m, i) =>
+      post('/api/routes/plan', planBody({ mode: m.value }), { key: `compare:${m.value}` })
+        .then(data => update(i, { route: data.chosen, alternatives: data.alternatives || [], data }))
+        .catch(err => { if (!isAbort(err)) update(i, { error: err }) })
+    ))
+    setComparison(c => c && { ...c, loading: false })
+  }
+
+  const adoptComparison = (row) => {
+    if (!row.route) return
+    // The plan for this mode is already in hand; skip the auto recompute the mode change would cause.
+    if (row.mode !== mode) skipAutoRefresh.current = true
+    setMode(row.mode)
+    applyPlan({ ...row.data, mode: row.mode })
+  }
+
+  // Live navigation along chosenRoute. Deviating re-plans from where the user
+  // is now; `start` is left alone so the logged trip keeps its real origin.
+  const progress = useNavigation(chosenRoute, position, {
+    active: navigating && !arrived,
+    onOffRoute: async (pos, p) => {
+      // Only stops still ahead of the user are kept when re-planning.
+      const points = toPoints(chosenRoute?.geometry?.coordinates)
+      const cum = cumulative(points)
+      const ahead = points.length ? waypoints.filter(w => project(points, cum, w).along > p.along) : waypoints
+      setReplanning(true)
+      try {
+        await showSafest({ start: { lat: pos.lat, lon: pos.lon }, waypoints: ahead, keepRoute: true, replanOf: chosenRoute?.planned || chosenRoute })
+      } finally {
+        setReplanning(false)
+      }
+    },
+    onArrive: () => { setArrived(true); endTrip() },
+  })
+  const startNavigation = () => {
+    if (!chosenRoute) return
+    setArrived(false)
+    setLogStatus('')
+    setNavigating(true)
+    startTrip({ route: chosenRoute, origin: start, destination: end, waypoints: waypointPayload(waypoints), mode, time_of_day: timeOfDay })
+  }
+  const stopNavigation = () => {
+    setNavigating(false)
+    setArrived(false)
+    endTrip()
+  }
+  useEffect(() => {
+    if (navigating && chosenRoute) updateRoute(chosenRoute)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [chosenRoute])
 
+  // Editing the selected profile's weights re-plans too.
+  const activeProfile = profileOf(mode, profiles)
+
+  // Auto recompute when mode/time/start/end change (if previously computed).
+  // Debounced so dragging markers or typing coordinates sends one request.
+  useEffect(() => {
+    if (skipAutoRefresh.current) { skipAutoRefresh.current = false; return }
+    if (!autoRefresh || !result) return
+    const t = setTimeout(() => showSafest(), AUTO_RECOMPUTE_MS)
+    return () => clearTimeout(t)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [mode, activeProfile, timing, night, start, end, waypoints])
+
+  // Companion requests are made from the start/end set here.
+  useEffect(() => {
+    setPlan({ start, end, departAt: timing.value ? departAt : null })
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [start, end, timing])
+
+  // Women Safety mode switches the planner to the female-friendly mode and back.
+  useEffect(() => {
+    if (women) setMode('female_friendly')
+    else setMode(m => (m === 'female_friendly' ? 'balanced' : m))
+  }, [women])
+
+  // Dropping a dragged point of the chosen route adds a stop, ordered by where
+  // along the route it was grabbed.
+  const routeDrag = useRouteDrag((to, from) => {
+    if (waypoints.length >= MAX_WAYPOINTS) return
+    const points = toPoints(chosenRoute?.geometry?.coordinates)
+    const cum = cumulative(points)
+    const grabbedAt = project(points, cum, from).along
+    const index = waypoints.filter(w => project(points, cum, w).along < grabbedAt).length
+    const next = waypoints.slice()
+    next.splice(index, 0, newWaypoint(to))
+    setWaypoints(next)
+  })
+
+  // `start` and `waypoints` are never moved by a re-plan, so the route logged
+  // with them is the one planned from the origin, not the partial re-plan.
   const logTrip = async () => {
     if (!chosenRoute) return
     setLogStatus('')
+    const route = chosenRoute.planned || chosenRoute
     const body = {
       user_uid: userId,
       origin: start,
       destination: end,
-      route_id: routeId || `r_${Date.now()}`,
-      mode,
-      distance_km: Number((chosenRoute.distance_m / 1000).toFixed(3)),
-      eta_minutes: chosenRoute.eta_minutes,
-      safety_score: chosenRoute.average_safety_score,
+      waypoints: waypointPayload(waypoints),
+      ...routeSnapshot(route),
+      ...modePayload(mode, profiles),
+      distance_km: Number((route.distance_m / 1000).toFixed(3)),
+      eta_minutes: route.eta_minutes,
+      safety_score: route.average_safety_score,
+      ...(route !== chosenRoute ? { rerouted: true } : {}),
     }
-    const res = await post('/api/trips', body)
-    if (res.trip_id) {
+    let res
+    try {
+      res = await track(send('/api/trips', body))
+    } catch (err) {
+      setLogStatus(`Could not save: ${describeError(err)}`)
+      return
+    }
+    if (res?.queued) {
+      setLogStatus('Offline: trip saved on this device and will sync when back online')
+    } else if (res?.trip_id) {
       setLogStatus('Saved to history')
-      loadTrips(userId)
+      tripHistory.reload()
+      loadSummary(userId)
     } else setLogStatus('Could not save, try again')
   }
 
+  // Trips planned with a profile are stored as mode 'custom' plus the profile.
+  const tripMode = (t) => {
+    if (t.mode !== 'custom') return t.mode
+    const p = profiles.find(x => x.id === t.profile?.id)
+    return p ? profileMode(p) : mode
+  }
+
   // My Trips actions
   const setFromTrip = (t) => {
     if (!t) return
     setStart(t.origin)
     setEnd(t.destination)
-    if (t.mode) setMode(t.mode)
+    setWaypoints((t.waypoints || []).map(newWaypoint))
+    if (t.mode) setMode(tripMode(t))
   }
   const reRunTrip = async (t) => {
     if (!t) return
     setFromTrip(t)
-    await showSafest({ start: t.origin, end: t.destination, mode: t.mode })
+    await showSafest({ start: t.origin, end: t.destination, waypoints: t.waypoints || [], mode: tripMode(t) })
+  }
+  // Redraws the route exactly as it was logged. The list may leave geometry
+  // out, so the full trip is fetched; older trips without one are re-planned.
+  const viewTrip = async (t) => {
+    if (!t) return
+    let route = tripRoute(t)
+    if (!route) {
+      try {
+        const full = await get(`/api/trips/${t._id}`, { key: 'trip' })
+        route = tripRoute(full?.trip || full)
+      } catch {}
+    }
+    if (!route) return reRunTrip(t)
+    // The route is already in hand; skip the re-plan the new start/end would cause.
+    skipAutoRefresh.current = true
+    setComparison(null)
+    setChosenRoute(route)
+    setAlternatives([])
+    setResult({
+      mode: tripMode(t),
+      eta_minutes: t.eta_minutes,
+      average_safety_score: t.safety_score,
+      distance_km: Number(t.distance_km),
+      loggedAt: t.created_at,
+    })
+    setFromTrip(t)
   }
   const deleteTrip = async (t) => {
     if (!t?._id) return
-    await del(`/api/trips/${t._id}`)
-    loadTrips(userId)
+    try {
+      await del(`/api/trips/${t._id}`)
+    } catch {
+      return
+    }
+    tripHistory.drop(t._id)
+    loadSummary(userId)
+  }
+
+  // Imported tracks are scored as drawn, in the current mode and time of day.
+  const scoreTrack = async (record) => {
+    const coordinates = record.points.map(p => [p.lat, p.lon])
+    setImportedTrack({ record, scoring: true })
+    try {
+      const data = await post('/api/routes/score', {
+        coordinates,
+        ...modePayload(mode, profiles),
+        time_of_day: timeOfDay,
+        departure_time: departAt.toISOString(),
+      }, { key: 'score' })
+      const route = data?.route || data
+      setImportedTrack({ record, route: { ...route, geometry: route?.geometry?.coordinates?.length ? route.geometry : { coordinates } } })
+    } catch (err) {
+      if (!isAbort(err)) setImportedTrack({ record, error: describeError(err) })
+    }
   }
 
   // Bookmarks actions
   const addBookmark = () => {
     if (!bookmarkName.trim()) return
-    const next = [
-      { id: `b_${Date.now()}`, name: bookmarkName.trim(), start, end },
-      ...bookmarks
-    ].slice(0, 20)
-    saveBookmarks(next)
+    const leaveAt = timing.kind === 'depart' && timing.value ? timing.value.slice(11, 16) : null
+    bookmarkStore.add({
+      name: bookmarkName.trim(),
+      start,
+      end,
+      waypoints: waypointPayload(waypoints),
+      tags: bookmarkTags,
+      ...(bookmarkPrefs ? { mode, depart_time: leaveAt } : {}),
+    })
     setBookmarkName('')
+    setBookmarkTags([])
   }
   const useBookmark = (b) => {
     setStart(b.start)
     setEnd(b.end)
-  }
-  const deleteBookmark = (id) => {
-    const next = bookmarks.filter(b => b.id !== id)
-    saveBookmarks(next)
+    setWaypoints((b.waypoints || []).map(newWaypoint))
+    // A profile that has since been deleted leaves the current mode alone.
+    if (b.mode && (!isProfileMode(b.mode) || profileOf(b.mode, profiles))) setMode(b.mode)
+    if (b.depart_time) {
+      const [h, m] = b.depart_time.split(':').map(Number)
+      const at = new Date()
+      at.setHours(h, m, 0, 0)
+      if (at < new Date()) at.setDate(at.getDate() + 1)
+      setTiming({ kind: 'depart', value: toLocalInput(at) })
+    }
   }
 
-  // Derived filtered trips
-  const visibleTrips = useMemo(() => {
-    if (tripFilter === 'all') return trips
-    return trips.filter(t => t.mode === tripFilter)
-  }, [trips, tripFilter])
-
   return (
-    <Section title="Safety-based Route Planner" actions={
+    <Section title="Safety-based Route Planner" loading={loading} error={error} onDismissError={clearError} actions={
       <div className="flex gap-2">
         <button onClick={() => setSelecting('start')} className={`px-3 py-1.5 rounded border text-sm ${selecting==='start'?'bg-blue-600 text-white border-blue-600':'bg-white hover:bg-gray-50'}`}>Pick start</button>
         <button onClick={() => setSelecting('end')} className={`px-3 py-1.5 rounded border text-sm ${selecting==='end'?'bg-green-600 text-white border-green-600':'bg-white hover:bg-gray-50'}`}>Pick end</button>
+        <button onClick={() => position && setStart({ lat: position.lat, lon: position.lon })} disabled={!position} className="px-3 py-1.5 rounded border text-sm bg-white hover:bg-gray-50 disabled:opacity-50">Start from me</button>
+        <button onClick={() => setSelecting('me')} title="Set your current location manually when GPS is unavailable" className={`px-3 py-1.5 rounded border text-sm ${selecting==='me'?'bg-violet-600 text-white border-violet-600':'bg-white hover:bg-gray-50'}`}>I'm here</button>
         <button onClick={() => showSafest()} className="px-3 py-1.5 rounded bg-blue-600 text-white text-sm hover:bg-blue-700">Show Safest Route</button>
       </div>
     }>
       <div className="space-y-3">
         <div className="flex flex-wrap gap-2 items-center">
-          <input value={userId} onChange={e=>setUserId(e.target.value)} className="border rounded px-2 py-1 text-sm" placeholder="user id" />
-          {['fastest','safest','balanced','night_safe','female_friendly'].map(m => (
-            <button key={m} onClick={() => setMode(m)} className={`px-3 py-1.5 rounded border text-sm ${mode===m? 'bg-blue-600 text-white border-blue-600':'bg-white hover:bg-gray-50'}`}>{m.replace('_',' ')}</button>
+          {MODES.map(m => (
+            <button key={m.value} onClick={() => setMode(m.value)} className={`px-3 py-1.5 rounded border text-sm ${mode===m.value? 'bg-blue-600 text-white border-blue-600':'bg-white hover:bg-gray-50'}`}>{m.label}</button>
           ))}
-          {['day','night','dawn_dusk'].map(t => (
-            <button key={t} onClick={() => setTimeOfDay(t)} className={`px-3 py-1.5 rounded border text-sm ${timeOfDay===t? 'bg-gray-900 text-white border-gray-900':'bg-white hover:bg-gray-50'}`}>{t}</button>
+          {profiles.map(p => (
+            <button key={p.id} onClick={() => setMode(profileMode(p))} className={`px-3 py-1.5 rounded border text-sm ${mode===profileMode(p)? 'bg-orange-600 text-white border-orange-600':'bg-white border-orange-300 hover:bg-orange-50'}`}>{p.name}</button>
           ))}
+          <button onClick={() => setShowProfiles(v => !v)} className={`px-3 py-1.5 rounded border text-sm ${showProfiles ? 'bg-gray-900 text-white border-gray-900' : 'bg-white hover:bg-gray-50'}`}>Profiles…</button>
           <div className="ml-auto flex items-center gap-3">
             <Toggle label="Auto recompute" checked={autoRefresh} onChange={setAutoRefresh} />
           </div>
         </div>
 
+        {showProfiles && <ProfileManager store={profileStore} mode={mode} onUse={setMode} onClose={() => setShowProfiles(false)} />}
+
+        <DeparturePlanner timing={timing} setTiming={setTiming} departAt={departAt} bucket={timeOfDay} place={start} eta={chosenRoute?.eta_minutes} plan={planAt} />
+
+        {navigating && (
+          <NavigationPanel progress={progress} replanning={replanning} arrived={arrived} hasFix={!!position && !position.manual}
+            onStop={stopNavigation} onLogTrip={logTrip} logStatus={logStatus} />
+        )}
+
+        <div className="grid md:grid-cols-2 gap-2">
+          <AddressSearch label="From" value={start} onSelect={setStart} near={position || center} />
+          <AddressSearch label="To" value={end} onSelect={setEnd} near={position || center} />
+        </div>
+
+        <WaypointList waypoints={waypoints} setWaypoints={setWaypoints} near={position || center}
+          picking={selecting === 'via'} onPick={() => setSelecting(selecting === 'via' ? null : 'via')} />
+
+        <ReportFilters enabled={showReports} setEnabled={setShowReports}
+          categories={reportCategories} setCategories={setReportCategories}
+          maxAgeHours={reportAge} setMaxAgeHours={setReportAge} />
+
+        <TrackImport track={importedTrack} onImport={(records) => scoreTrack(records[0])}
+          onScore={() => scoreTrack(importedTrack.record)} onClear={() => setImportedTrack(null)} />
+
         <div className="rounded-lg overflow-hidden border" style={{ height: '58vh' }}>
           <MapContainer center={[center.lat, center.lon]} zoom={14} style={{ height: '100%', width: '100%' }}>
-            <TileLayer
-              attribution='&copy; OpenStreetMap contributors'
-              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-            />
-            <MapClickSelector selecting={selecting} setSelecting={setSelecting} setStart={setStart} setEnd={setEnd} />
-            <Marker position={[start.lat, start.lon]} />
-            <Marker position={[end.lat, end.lon]} />
-            {alternatives.filter(a=>a!==chosenRoute).map((alt, i) => (
-              <Polyline key={i} positions={(alt.geometry?.coordinates||[]).map(c=>[c[0], c[1]])} color="#9ca3af" weight={3} opacity={0.6} />
-            ))}
-            {chosenRoute && (
-              <Polyline positions={(chosenRoute.geometry?.coordinates||[]).map(c=>[c[0], c[1]])} color="#2563eb" weight={6} />
+            <MapTiles />
+            <MapClickSelector selecting={selecting} setSelecting={setSelecting} setStart={setStart} setEnd={setEnd} setManual={setManual}
+              addWaypoint={(p) => waypoints.length < MAX_WAYPOINTS && setWaypoints([...waypoints, newWaypoint(p)])} />
+            <MyPositionMarker />
+            <FollowPosition position={position} enabled={navigating && !arrived} />
+            <Marker position={[start.lat, start.lon]} draggable
+              eventHandlers={{ dragend: (e) => { const ll = e.target.getLatLng(); setStart({ lat: ll.lat, lon: ll.lng }) } }} />
+            <Marker position={[end.lat, end.lon]} draggable
+              eventHandlers={{ dragend: (e) => { const ll = e.target.getLatLng(); setEnd({ lat: ll.lat, lon: ll.lng }) } }} />
+            <WaypointMarkers waypoints={waypoints} onMove={(id, p) => setWaypoints(waypoints.map(w => (w.id === id ? { ...w, ...p, label: undefined } : w)))} />
+            {comparison ? (
+              <ComparisonOverlay rows={comparisonRows(comparison.results)} selected={mode} />
+            ) : (
+              <>
+                {alternatives.filter(a=>a!==chosenRoute).map((alt, i) => (
+                  <SafetyRoute key={i} route={alt} onSelect={setChosenRoute} />
+                ))}
+                {chosenRoute && <SafetyRoute route={chosenRoute} chosen onGrab={navigating ? undefined : routeDrag.grab} />}
+              </>
             )}
+            {routeDrag.layer}
+            <ImportedTrackLayer track={importedTrack} />
+            {showReports && <ReportsLayer categories={reportCategories} maxAgeHours={reportAge} />}
           </MapContainer>
         </div>
+        {chosenRoute && <SafetyLegend estimated={!hasSegmentData(chosenRoute)} unscored={hasUnscored(chosenRoute)} />}
 
         {result && (
           <div className="grid md:grid-cols-3 gap-4 items-start">
             <div className="p-3 rounded border bg-gray-50 space-y-1">
               <div className="text-sm text-gray-600">Mode</div>
-              <div className="text-lg font-semibold">{result.mode}</div>
+              <div className="text-lg font-semibold">{modeOf(result.mode, profiles).label}</div>
+              {result.loggedAt && <div className="text-xs text-gray-500">Route as logged {new Date(result.loggedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}</div>}
               <div className="text-sm text-gray-600 mt-2">ETA</div>
               <div className="text-lg font-semibold">{Number(result.eta_minutes).toFixed(1)} min</div>
               <div className="text-sm text-gray-600 mt-2">Distance</div>
@@ -286,11 +579,14 @@ function Planner() {
               <div className="text-lg font-semibold">{result.average_safety_score}</div>
               <div className="pt-2 flex gap-2 flex-wrap">
                 <button onClick={logTrip} disabled={!chosenRoute} className="px-3 py-1.5 rounded bg-green-600 text-white text-sm disabled:opacity-50">Save this trip</button>
+                {!navigating && <button onClick={startNavigation} disabled={!chosenRoute} className="px-3 py-1.5 rounded bg-blue-600 text-white text-sm disabled:opacity-50">Start navigation</button>}
                 <button onClick={() => showSafest()} className="px-3 py-1.5 rounded border text-sm">Recompute</button>
-                <div className="text-xs text-gray-600 self-center">Quick compare:</div>
-                {['fastest','safest','balanced','night_safe','female_friendly'].map(m => (
-                  <button key={m} onClick={() => showSafest({ mode: m })} className={`px-2 py-1 rounded text-xs border ${mode===m? 'bg-blue-600 text-white border-blue-600':'bg-white hover:bg-gray-50'}`}>{m.replace('_',' ')}</button>
-                ))}
+                <button onClick={compareModes} className="px-3 py-1.5 rounded border text-sm">Compare all modes</button>
+              </div>
+              <div className="pt-1 flex items-center gap-1.5">
+                <span className="text-xs text-gray-600">Export</span>
+                <ExportButtons filename="saferoutes-route" name="SafeRoutes route" disabled={!chosenRoute}
+                  records={() => [routeRecord(chosenRoute, { mode: result.mode, modeLabel: modeOf(result.mode, profiles).label })]} />
               </div>
               {logStatus && <div className="text-xs text-green-700 mt-2">{logStatus}</div>}
             </div>
@@ -302,8 +598,19 @@ function Planner() {
                   <input value={bookmarkName} onChange={e=>setBookmarkName(e.target.value)} className="flex-1 border rounded px-2 py-1 text-sm" placeholder="Bookmark name" />
                   <button onClick={addBookmark} className="px-3 py-1.5 rounded border text-sm">Add</button>
                 </div>
+                <div className="flex flex-wrap items-center gap-3 mt-1.5">
+                  <TagPicker value={bookmarkTags} onChange={setBookmarkTags} />
+                  <label className="flex items-center gap-1 text-xs text-gray-600">
+                    <input type="checkbox" checked={bookmarkPrefs} onChange={e => setBookmarkPrefs(e.target.checked)} />
+                    Remember mode{timing.kind === 'depart' && timing.value ? ' and departure time' : ''}
+                  </label>
+                </div>
               </div>
-              {!!alternatives.length && (
+              {comparison && (
+                <RouteComparison rows={comparisonRows(comparison.results)} loading={comparison.loading}
+                  selected={mode} onAdopt={adoptComparison} onClose={() => setComparison(null)} />
+              )}
+              {!comparison && !!alternatives.length && (
                 <div className="p-2 border rounded bg-white/60">
                   <div className="text-xs text-gray-700 mb-1">Alternatives</div>
                   <div className="grid sm:grid-cols-2 gap-2">
@@ -325,58 +632,11 @@ function Planner() {
         {/* My Trips & Bookmarks */}
         <div className="grid md:grid-cols-2 gap-4">
           <div className="p-3 rounded border bg-gray-50">
-            <div className="flex items-center justify-between mb-2">
-              <div className="text-sm font-medium">My Trips</div>
-              <div className="flex items-center gap-2">
-                <select value={tripFilter} onChange={e=>setTripFilter(e.target.value)} className="px-2 py-1 text-xs border rounded">
-                  <option value="all">All</option>
-                  <option value="fastest">Fastest</option>
-                  <option value="safest">Safest</option>
-                  <option value="balanced">Balanced</option>
-                  <option value="night_safe">Night safe</option>
-                  <option value="female_friendly">Female friendly</option>
-                </select>
-                <button onClick={() => loadTrips(userId)} className="px-2 py-1 text-xs rounded border">{loadingTrips ? 'Loading...' : 'Refresh'}</button>
-              </div>
-            </div>
-            {summary && (
-              <div className="mb-2 text-xs text-gray-600">{summary.total_trips} trips · {summary.total_km} km · Avg safety {summary.avg_safety} · Fav: {summary.favorite_mode || '—'}</div>
-            )}
-            <div className="space-y-2 max-h-64 overflow-auto pr-1">
-              {visibleTrips.map(t => (
-                <div key={t._id} className="p-2 bg-white rounded border">
-                  <div className="flex items-center justify-between">
-                    <div className="text-sm font-medium capitalize">{t.mode.replace('_',' ')} · {Number(t.distance_km).toFixed(3)} km</div>
-                    <Badge color="blue">{Number(t.eta_minutes).toFixed(1)} min</Badge>
-                  </div>
-                  <div className="text-xs text-gray-600 mt-1">{t.origin?.lat?.toFixed?.(3)},{t.origin?.lon?.toFixed?.(3)} → {t.destination?.lat?.toFixed?.(3)},{t.destination?.lon?.toFixed?.(3)}</div>
-                  <div className="flex gap-2 mt-2">
-                    <button onClick={() => { setFromTrip(t) }} className="px-2 py-1 text-xs rounded border">View</button>
-                    <button onClick={() => reRunTrip(t)} className="px-2 py-1 text-xs rounded bg-blue-600 text-white">Re-run</button>
-                    <button onClick={() => deleteTrip(t)} className="px-2 py-1 text-xs rounded border text-red-600">Delete</button>
-                  </div>
-                </div>
-              ))}
-              {!visibleTrips.length && <div className="text-sm text-gray-500">No trips yet.</div>}
-            </div>
+            <TripHistory uid={userId} history={tripHistory} filters={tripFilters} setFilters={setTripFilters} summary={summary} profiles={profiles}
+              onView={viewTrip} onRerun={reRunTrip} onDelete={deleteTrip} />
           </div>
           <div className="p-3 rounded border bg-gray-50">
-            <div className="text-sm font-medium mb-2">Bookmarks</div>
-            <div className="space-y-2 max-h-64 overflow-auto pr-1">
-              {bookmarks.map(b => (
-                <div key={b.id} className="p-2 bg-white rounded border">
-                  <div className="flex items-center justify-between">
-                    <div className="text-sm font-medium">{b.name}</div>
-                    <div className="flex gap-2">
-                      <button onClick={() => useBookmark(b)} className="px-2 py-1 text-xs rounded border">Use</button>
-                      <button onClick={() => deleteBookmark(b.id)} className="px-2 py-1 text-xs rounded border text-red-600">Delete</button>
-                    </div>
-                  </div>
-                  <div className="text-xs text-gray-600 mt-1">{b.start.lat.toFixed(3)},{b.start.lon.toFixed(3)} → {b.end.lat.toFixed(3)},{b.end.lon.toFixed(3)}</div>
-                </div>
-              ))}
-              {!bookmarks.length && <div className="text-sm text-gray-500">No bookmarks yet. Add one from the route summary above.</div>}
-            </div>
+            <Bookmarks store={bookmarkStore} profiles={profiles} onUse={useBookmark} />
           </div>
         </div>
 
@@ -385,10 +645,10 @@ function Planner() {
             <label className="text-xs text-gray-600">Start (lat, lon)</label>
             <div className="flex gap-2">
               <input type="number" step="0.0001" value={start.lat}
-                onChange={e => setStart({ ...start, lat: parseFloat(e.target.value) })}
+                onChange={e => setStart({ lat: parseFloat(e.target.value), lon: start.lon })}
                 className="w-full border rounded px-2 py-1 text-sm" />
               <input type="number" step="0.0001" value={start.lon}
-                onChange={e => setStart({ ...start, lon: parseFloat(e.target.value) })}
+                onChange={e => setStart({ lat: start.lat, lon: parseFloat(e.target.value) })}
                 className="w-full border rounded px-2 py-1 text-sm" />
             </div>
           </div>
@@ -396,42 +656,53 @@ function Planner() {
             <label className="text-xs text-gray-600">End (lat, lon)</label>
             <div className="flex gap-2">
               <input type="number" step="0.0001" value={end.lat}
-                onChange={e => setEnd({ ...end, lat: parseFloat(e.target.value) })}
+                onChange={e => setEnd({ lat: parseFloat(e.target.value), lon: end.lon })}
                 className="w-full border rounded px-2 py-1 text-sm" />
               <input type="number" step="0.0001" value={end.lon}
-                onChange={e => setEnd({ ...end, lon: parseFloat(e.target.value) })}
+                onChange={e => setEnd({ lat: end.lat, lon: parseFloat(e.target.value) })}
                 className="w-full border rounded px-2 py-1 text-sm" />
             </div>
           </div>
         </div>
-        <p className="text-xs text-gray-600">Use the large map to click your Start and End. Routes change with mode and time-of-day for better safety vs speed tradeoffs.</p>
+        <p className="text-xs text-gray-600">Use the large map to click your Start and End, drag the markers to adjust them, or drag the route to pass through another point. Routes change with mode and time-of-day for better safety vs speed tradeoffs.</p>
       </div>
     </Section>
   )
 }
 
 function HistoryAlerts() {
-  const { get } = useBackend()
+  const { get, loading, error, clearError } = useBackend()
+  const { position } = useGeolocation()
   const [alerts, setAlerts] = useState([])
-  const [lat, setLat] = useState(28.61)
-  const [lon, setLon] = useState(77.21)
+  const { night, women } = usePreferences()
   const [tod, setTod] = useState('night')
+  const timeOfDay = night ? 'night' : tod
+  const lat = position?.lat ?? 28.61
+  const lon = position?.lon ?? 77.21
+  const located = !!position
 
   const loadAlerts = async () => {
-    const a = await get(`/api/alerts?lat=${lat}&lon=${lon}&time_of_day=${tod}`)
-    setAlerts(a.alerts || [])
+    try {
+      const a = await get(`/api/alerts?lat=${lat}&lon=${lon}&time_of_day=${timeOfDay}${women ? '&audience=women' : ''}`, { key: 'alerts' })
+      setAlerts(a?.alerts || [])
+    } catch {}
   }
 
-  useEffect(()=>{ loadAlerts() }, [])
+  // Load once for the fallback area, then again as soon as a real position is known.
+  useEffect(()=>{ loadAlerts() }, [located, night, women])
+
+  // Uncategorised alerts are always kept so nothing safety-relevant is hidden.
+  const visibleAlerts = women ? alerts.filter(al => !al.category || WOMEN_ALERT_CATEGORIES.includes(al.category)) : alerts
 
   return (
-    <Section title="Smart Alerts & Trip History">
+    <Section title="Smart Alerts & Trip History" loading={loading} error={error} onDismissError={clearError}>
       <div className="grid md:grid-cols-2 gap-4">
         <div>
           <div className="flex items-center justify-between mb-2">
             <div className="text-sm font-medium">Live Smart Alerts</div>
             <div className="flex items-center gap-2">
-              <select value={tod} onChange={e=>setTod(e.target.value)} className="px-2 py-1 text-xs border rounded">
+              {women && <Badge color="red">Women safety</Badge>}
+              <select value={timeOfDay} onChange={e=>setTod(e.target.value)} disabled={night} title={night ? 'NightShield is on' : undefined} className="px-2 py-1 text-xs border rounded">
                 <option value="day">day</option>
                 <option value="night">night</option>
                 <option value="dawn_dusk">dawn_dusk</option>
@@ -439,8 +710,9 @@ function HistoryAlerts() {
               <button onClick={loadAlerts} className="px-2 py-1 text-xs rounded border">Refresh</button>
             </div>
           </div>
+          {!located && <div className="mb-2 text-xs text-gray-500">Showing alerts for the default area until your location is known.</div>}
           <div className="grid gap-2">
-            {alerts.map((al, i) => (
+            {visibleAlerts.map((al, i) => (
               <div key={i} className="p-2 border rounded text-sm flex items-start justify-between">
                 <div>
                   <div className="font-medium">{al.message}</div>
@@ -452,7 +724,7 @@ function HistoryAlerts() {
                 </div>
               </div>
             ))}
-            {!alerts.length && <div className="text-sm text-gray-500">No alerts right now.</div>}
+            {!visibleAlerts.length && <div className="text-sm text-gray-500">No alerts right now.</div>}
           </div>
         </div>
         <UserTripsCompact />
@@ -462,34 +734,37 @@ function HistoryAlerts() {
 }
 
 function UserTripsCompact() {
-  const { get } = useBackend()
+  const { get, loading, error } = useBackend()
   const [trips, setTrips] = useState([])
-  const [uid, setUid] = useState('user_a')
+  const { uid } = useAuth()
 
   const loadTrips = async () => {
-    const t = await get(`/api/trips?user_uid=${encodeURIComponent(uid)}`)
-    setTrips(t.trips || [])
+    if (!uid) return
+    try {
+      const t = await get(tripsQuery(uid, EMPTY_TRIP_FILTERS, null, 6), { key: 'trips' })
+      setTrips(t?.trips || [])
+    } catch {}
   }
 
-  useEffect(()=>{ loadTrips() }, [])
+  useEffect(()=>{ loadTrips() }, [uid])
 
   return (
     <div>
       <div className="flex items-center justify-between mb-2">
         <div className="text-sm font-medium">Recent Trips</div>
         <div className="flex items-center gap-2">
-          <input value={uid} onChange={e=>setUid(e.target.value)} className="px-2 py-1 text-xs border rounded" placeholder="user id" />
-          <button onClick={loadTrips} className="px-2 py-1 text-xs rounded border">Refresh</button>
+          <button onClick={loadTrips} className="px-2 py-1 text-xs rounded border">{loading ? 'Loading...' : 'Refresh'}</button>
         </div>
       </div>
+      {error && <div className="mb-2 text-xs text-red-600">{describeError(error)}</div>}
       <div className="space-y-2">
         {trips.slice(0,6).map(t => (
           <div key={t._id} className="p-2 border rounded text-sm">
             <div className="flex items-center justify-between">
-              <div className="capitalize">{t.mode.replace('_',' ')} · {Number(t.distance_km).toFixed(3)} km</div>
+              <div>{tripModeLabel(t)} · {Number(t.distance_km).toFixed(3)} km</div>
               <Badge color="blue">{Number(t.eta_minutes).toFixed(1)} min</Badge>
             </div>
-            <div className="text-xs text-gray-600 mt-1">Safety {t.safety_score} · {t.origin?.lat?.toFixed?.(2)},{t.origin?.lon?.toFixed?.(2)} → {t.destination?.lat?.toFixed?.(2)},{t.destination?.lon?.toFixed?.(2)}</div>
+            <div className="text-xs text-gray-600 mt-1">Safety {t.safety_score} · <PlaceLabel point={t.origin} label={t.origin?.label} digits={2} /> → <PlaceLabel point={t.destination} label={t.destination?.label} digits={2} /></div>
           </div>
         ))}
         {!trips.length && <div className="text-sm text-gray-500">No trips logged yet.</div>}
@@ -498,61 +773,150 @@ function UserTripsCompact() {
   )
 }
 
+const windowLabel = (r) => `${new Date(r.earliest_departure).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}–${new Date(r.latest_departure).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+
 function Companions() {
-  const { post, get } = useBackend()
-  const [uid, setUid] = useState('user_a')
+  const { uid } = useAuth()
+  const { plan } = useTrip()
+  const { interval } = usePreferences()
+  const store = useCompanions(uid, { pollInterval: interval(INVITE_POLL_MS) })
+  const { requests, matches, invitations } = store
   const [gender, setGender] = useState('female')
-  const [reqId, setReqId] = useState(null)
-  const [matches, setMatches] = useState([])
+  const [span, setSpan] = useState(() => {
+    const w = defaultWindow()
+    return { from: toLocalInput(w.from), to: toLocalInput(w.to) }
+  })
+  const [openThread, setOpenThread] = useState(null)
+  const [note, setNote] = useState('')
+
+  // A departure time chosen in the Planner moves the window with it.
+  useEffect(() => {
+    if (!plan?.departAt) return
+    const w = defaultWindow(plan.departAt)
+    setSpan({ from: toLocalInput(w.from), to: toLocalInput(w.to) })
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [plan?.departAt?.getTime()])
+
+  const spanValid = span.from && span.to && new Date(span.from) < new Date(span.to)
 
   const createRequest = async () => {
-    const now = new Date()
-    const body = {
-      user_uid: uid,
-      gender,
-      origin: { lat: 28.61, lon: 77.21 },
-      destination: { lat: 28.615, lon: 77.225 },
-      earliest_departure: new Date(now.getTime() - 5*60000).toISOString(),
-      latest_departure: new Date(now.getTime() + 30*60000).toISOString(),
-      active: true
-    }
-    const res = await post('/api/companions/request', body)
-    setReqId(res.request_id)
+    if (!plan || !spanValid) return
+    setNote('')
+    try {
+      await store.create({ gender, origin: plan.start, destination: plan.end, from: new Date(span.from), to: new Date(span.to) })
+      setNote('Request created. Look for matches below.')
+    } catch {}
   }
 
-  const findMatches = async () => {
-    const res = await get(`/api/companions/match?user_uid=${uid}`)
-    setMatches(res)
-  }
+  const requestOf = (id) => requests.find(r => companionId(r) === id)
+  const invitationFor = (r, m) => invitations.find(i => i.status !== 'declined' && i.status !== 'cancelled' &&
+    ((i.from_request_id === companionId(r) && i.to_request_id === m.request_id) || (i.to_request_id === companionId(r) && i.from_request_id === m.request_id)))
+  const incoming = invitations.filter(i => i.to_uid === uid && i.status === 'pending')
+  const outgoing = invitations.filter(i => i.from_uid === uid && i.status === 'pending')
+  const accepted = invitations.filter(i => i.status === 'accepted')
+  const thread = accepted.find(i => companionId(i) === openThread)
+  const partnerOf = (i) => (i.from_uid === uid ? i.to_name || i.to_uid : i.from_name || i.from_uid)
+  const act = (fn) => async (...args) => { try { await fn(...args) } catch {} }
 
   return (
-    <Section title="Same-gender Travel Companion">
+    <Section title="Same-gender Travel Companion" loading={store.loading} error={store.error} onDismissError={store.clearError}>
       <div className="grid md:grid-cols-3 gap-4">
         <div className="space-y-2">
-          <input value={uid} onChange={e=>setUid(e.target.value)} className="w-full border rounded px-3 py-2 text-sm" placeholder="Your user id" />
           <select value={gender} onChange={e=>setGender(e.target.value)} className="w-full border rounded px-3 py-2 text-sm">
-            <option>female</option>
-            <option>male</option>
-            <option>non-binary</option>
-            <option>prefer-not-to-say</option>
+            {GENDERS.map(g => <option key={g}>{g}</option>)}
           </select>
-          <div className="flex gap-2">
-            <button onClick={createRequest} className="px-3 py-1.5 rounded bg-blue-600 text-white text-sm">Create Request</button>
-            <button onClick={findMatches} className="px-3 py-1.5 rounded border text-sm">Find Matches</button>
+          <div className="text-xs text-gray-600">
+            {plan ? <><PlaceLabel point={plan.start} label={plan.start.label} /> → <PlaceLabel point={plan.end} label={plan.end.label} /></> : 'Set a start and end in the route planner.'}
+            <div className="text-gray-500">From the route planner above</div>
+          </div>
+          <div className="grid grid-cols-2 gap-1.5 text-xs">
+            <label className="flex flex-col gap-0.5">Leave after<input type="datetime-local" value={span.from} onChange={e => setSpan({ ...span, from: e.target.value })} className="border rounded px-1.5 py-1" /></label>
+            <label className="flex flex-col gap-0.5">Leave before<input type="datetime-local" value={span.to} onChange={e => setSpan({ ...span, to: e.target.value })} className="border rounded px-1.5 py-1" /></label>
+          </div>
+          {!spanValid && <div className="text-xs text-red-600">The window must end after it starts.</div>}
+          <button onClick={createRequest} disabled={!plan || !spanValid} className="px-3 py-1.5 rounded bg-blue-600 text-white text-sm disabled:opacity-50">Create Request</button>
+          {note && <div className="text-xs text-green-700">{note}</div>}
+
+          <div className="pt-2">
+            <div className="flex items-center justify-between mb-1">
+              <div className="text-sm font-medium">My requests</div>
+              <button onClick={store.reload} className="px-2 py-1 text-xs rounded border">Refresh</button>
+            </div>
+            <div className="space-y-2">
+              {requests.map(r => (
+                <div key={companionId(r)} className="p-2 border rounded text-xs space-y-1">
+                  <div><PlaceLabel point={r.origin} label={r.origin?.label} digits={2} /> → <PlaceLabel point={r.destination} label={r.destination?.label} digits={2} /></div>
+                  <div className="text-gray-600">Leaving {windowLabel(r)} · {r.gender}</div>
+                  <div className="flex gap-1.5">
+                    <button onClick={act(() => store.findMatches(r))} className="px-2 py-1 rounded border">Find matches</button>
+                    <button onClick={act(() => store.cancel(r))} className="px-2 py-1 rounded border text-red-600">Cancel</button>
+                  </div>
+                </div>
+              ))}
+              {!requests.length && <div className="text-sm text-gray-500">No active requests.</div>}
+            </div>
           </div>
-          {reqId && <Badge color="green">Request created</Badge>}
         </div>
-        <div className="md:col-span-2 space-y-2">
-          {matches.map(m => (
-            <div key={m.request_id} className="p-3 border rounded flex items-center justify-between">
-              <div>
-                <div className="text-sm font-medium">{m.user_uid}</div>
-                <div className="text-xs text-gray-600">Origin {m.distance_to_origin_m}m · Dest {m.distance_to_destination_m}m</div>
-              </div>
-              <Badge color={m.score>0.6?'green':m.score>0.4?'amber':'gray'}>Score {m.score}</Badge>
+
+        <div className="md:col-span-2 space-y-3">
+          {requests.filter(r => matches[companionId(r)]).map(r => (
+            <div key={companionId(r)} className="space-y-2">
+              <div className="text-xs text-gray-600">Matches for your {windowLabel(r)} request</div>
+              {matches[companionId(r)].map(m => {
+                const inv = invitationFor(r, m)
+                return (
+                  <div key={m.request_id} className="p-3 border rounded flex items-center justify-between gap-2">
+                    <div>
+                      <div className="text-sm font-medium">{m.display_name || m.user_uid}</div>
+                      <div className="text-xs text-gray-600">Origin {m.distance_to_origin_m}m · Dest {m.distance_to_destination_m}m{m.earliest_departure ? ` · Leaving ${windowLabel(m)}` : ''}</div>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <Badge color={m.score>0.6?'green':m.score>0.4?'amber':'gray'}>Score {m.score}</Badge>
+                      {inv
+                        ? <Badge color={inv.status === 'accepted' ? 'green' : 'gray'}>{inv.status === 'accepted' ? 'Matched' : 'Invited'}</Badge>
+                        : <button onClick={act(() => store.invite(r, m))} className="px-2 py-1 text-xs rounded bg-blue-600 text-white">Invite</button>}
+                    </div>
+                  </div>
+                )
+              })}
+              {!matches[companionId(r)].length && <div className="text-sm text-gray-500">No matches yet. Check back shortly.</div>}
             </div>
           ))}
-          {!matches.length && <div className="text-sm text-gray-500">No matches yet. Create requests for a couple of users to test.</div>}
+
+          {(incoming.length > 0 || outgoing.length > 0) && (
+            <div className="space-y-2">
+              <div className="text-sm font-medium">Invitations</div>
+              {incoming.map(i => (
+                <div key={companionId(i)} className="p-2 border rounded flex items-center justify-between gap-2 text-sm">
+                  <div>{partnerOf(i)} wants to travel together{requestOf(i.to_request_id) ? ` (${windowLabel(requestOf(i.to_request_id))})` : ''}</div>
+                  <div className="flex gap-1.5">
+                    <button onClick={act(async () => { await store.respond(i, 'accept'); setOpenThread(companionId(i)) })} className="px-2 py-1 text-xs rounded bg-green-600 text-white">Accept</button>
+                    <button onClick={act(() => store.respond(i, 'decline'))} className="px-2 py-1 text-xs rounded border">Decline</button>
+                  </div>
+                </div>
+              ))}
+              {outgoing.map(i => (
+                <div key={companionId(i)} className="p-2 border rounded flex items-center justify-between gap-2 text-sm">
+                  <div>Waiting for {partnerOf(i)} to accept</div>
+                  <button onClick={act(() => store.respond(i, 'cancel'))} className="px-2 py-1 text-xs rounded border">Withdraw</button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {accepted.length > 0 && (
+            <div className="flex flex-wrap items-center gap-1.5">
+              <span className="text-sm font-medium mr-1">Companions</span>
+              {accepted.map(i => (
+                <button key={companionId(i)} onClick={() => setOpenThread(companionId(i))} className={`px-2 py-1 text-xs rounded border ${openThread === companionId(i) ? 'bg-gray-900 text-white border-gray-900' : 'bg-white'}`}>
+                  {partnerOf(i)}{i.meeting_point ? ' · meeting point set' : ''}
+                </button>
+              ))}
+            </div>
+          )}
+          {thread && <CompanionThread uid={uid} invitation={thread} onSetMeetingPoint={act(store.setMeetingPoint)} onClose={() => setOpenThread(null)} />}
+
+          {!requests.length && !invitations.length && <div className="text-sm text-gray-500">No matches yet. Create a request and check back shortly.</div>}
         </div>
       </div>
     </Section>
@@ -560,59 +924,186 @@ function Companions() {
 }
 
 function CommunityReports() {
-  const { post } = useBackend()
+  const { track, loading, error, clearError } = useBackend()
+  const { send } = useOutbox()
+  const { uid } = useAuth()
+  const { position } = useGeolocation()
   const [status, setStatus] = useState(null)
   const [category, setCategory] = useState('dark_spot')
   const [desc, setDesc] = useState('')
+  const [picked, setPicked] = useState(null)
+  const [photos, setPhotos] = useState([]) // { blob, name, url }
+  const [photoError, setPhotoError] = useState('')
+  const [progress, setProgress] = useState(null)
+
+  // A point picked on the map wins over the device position.
+  const reportLocation = picked || position
+
+  const photosRef = useRef(photos)
+  photosRef.current = photos
+  useEffect(() => () => photosRef.current.forEach(p => URL.revokeObjectURL(p.url)), [])
+
+  const addPhotos = async (files) => {
+    setPhotoError('')
+    const room = MAX_PHOTOS - photos.length
+    const next = []
+    for (const file of [...files].slice(0, room)) {
+      try {
+        const img = await compressImage(file)
+        next.push({ ...img, url: URL.createObjectURL(img.blob) })
+      } catch (e) {
+        setPhotoError(e.message)
+      }
+    }
+    if (files.length > room) setPhotoError(`Up to ${MAX_PHOTOS} photos per report.`)
+    setPhotos(p => [...p, ...next])
+  }
+  const removePhoto = (i) => {
+    URL.revokeObjectURL(photos[i].url)
+    setPhotos(photos.filter((_, j) => j !== i))
+  }
 
   const submit = async () => {
-    const res = await post('/api/reports', {
+    if (!reportLocation) return
+    setStatus(null)
+    const fields = {
       category,
       description: desc,
-      location: { lat: 28.613, lon: 77.209 },
-      reporter_uid: 'user_a'
-    })
-    setStatus(`Report ${res.report_id} submitted`)
+      ...locationPayload(reportLocation),
+      ...(picked ? { location_source: 'map' } : {}),
+      reporter_uid: uid
+    }
+    try {
+      const res = photos.length
+        ? await track(send('/api/reports', { fields, files: photos.map(p => ({ field: 'photos', blob: p.blob, name: p.name })) }, { multipart: true, onProgress: setProgress }))
+        : await track(send('/api/reports', fields))
+      setStatus(res?.queued ? 'Offline: report queued and will be sent when back online' : `Report ${res?.report_id} submitted`)
+      photos.forEach(p => URL.revokeObjectURL(p.url))
+      setPhotos([])
+      setDesc('')
+      setPicked(null)
+    } catch {
+    } finally {
+      setProgress(null)
+    }
   }
 
   return (
-    <Section title="Community Safety Reporting">
+    <Section title="Community Safety Reporting" loading={loading} error={error} onDismissError={clearError}>
       <div className="grid md:grid-cols-3 gap-4">
         <div className="space-y-2">
           <select value={category} onChange={e=>setCategory(e.target.value)} className="w-full border rounded px-3 py-2 text-sm">
-            <option value="dark_spot">Dark spot</option>
-            <option value="harassment">Harassment</option>
-            <option value="suspicious_activity">Suspicious activity</option>
-            <option value="hazard">Hazard</option>
-            <option value="other">Other</option>
+            {REPORT_CATEGORIES.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
           </select>
           <textarea value={desc} onChange={e=>setDesc(e.target.value)} className="w-full border rounded px-3 py-2 text-sm" placeholder="Add optional description" />
-          <button onClick={submit} className="px-3 py-1.5 rounded bg-blue-600 text-white text-sm">Submit</button>
+          <div className="space-y-1">
+            <label className={`inline-block px-3 py-1.5 rounded border text-sm cursor-pointer bg-white ${photos.length >= MAX_PHOTOS ? 'opacity-50 pointer-events-none' : ''}`}>
+              Attach photos
+              <input type="file" accept="image/*" multiple className="hidden" onChange={e => { addPhotos(e.target.files); e.target.value = '' }} />
+            </label>
+            {!!photos.length && (
+              <div className="flex gap-2 flex-wrap">
+                {photos.map((p, i) => (
+                  <div key={p.url} className="relative">
+                    <img src={p.url} alt="" className="h-16 w-16 object-cover rounded border" />
+                    <button onClick={() => removePhoto(i)} className="absolute -top-1 -right-1 h-5 w-5 rounded-full bg-white border text-xs" aria-label="Remove photo">×</button>
+                  </div>
+                ))}
+              </div>
+            )}
+            {photoError && <div className="text-xs text-red-600">{photoError}</div>}
+            <div className="text-xs text-gray-500">Photos are resized and their location/camera data is removed before upload.</div>
+          </div>
+          <button onClick={submit} disabled={!reportLocation || progress != null} className="px-3 py-1.5 rounded bg-blue-600 text-white text-sm disabled:opacity-50">Submit</button>
+          {progress != null && (
+            <div className="h-2 rounded bg-gray-100 overflow-hidden">
+              <div className="h-full bg-blue-600 transition-all" style={{ width: `${Math.round(progress * 100)}%` }}></div>
+            </div>
+          )}
+          {!reportLocation && <div className="text-xs text-gray-500">Waiting for your location. Pick the spot on the map instead.</div>}
+          {!picked && position?.stale && <div className="text-xs text-amber-700">Your last location fix is old; pick the spot on the map to be precise.</div>}
           {status && <div className="text-sm text-green-700">{status}</div>}
         </div>
-        <div className="md:col-span-2">
-          <div className="text-sm text-gray-600">Users can attach photos, vote, and help keep the map safe. Spam is filtered automatically.</div>
+        <div className="md:col-span-2 space-y-2">
+          <LocationPicker value={reportLocation} onChange={setPicked} myPosition={position} onUseMyLocation={() => setPicked(null)} />
+          <div className="text-sm text-gray-600">Users can attach photos and help keep the map safe. Turn on "Community reports" above the planner map to see reports near you, then open one to vote, mark it no longer valid or flag abuse for moderators.</div>
         </div>
       </div>
     </Section>
   )
 }
 
+// Taps within this long of the first belong to the same emergency and are
+// sent with the same idempotency key, so they raise one alert, not several.
+const SOS_DEDUP_MS = 2 * 60000
+
 function SOS() {
-  const { post } = useBackend()
+  const { post, track, loading, error, clearError } = useBackend()
+  const { send } = useOutbox()
+  const { uid } = useAuth()
+  const { position } = useGeolocation()
+  const { trip } = useTrip()
   const [triggered, setTriggered] = useState(null)
   const [auto, setAuto] = useState(null)
   const [alarm, setAlarm] = useState(false)
+  const [countdown, setCountdown] = useState(null) // reasons while the auto-SOS prompt is open
+  const { interval } = usePreferences()
+  const incident = useRef(null)
 
-  const trigger = async () => {
-    const res = await post('/api/sos/trigger', {
-      user_uid: 'user_a',
-      location: { lat: 28.61, lon: 77.21 },
-      triggered_by: 'manual'
-    })
-    setTriggered(res)
+  const incidentKey = () => {
+    const now = Date.now()
+    if (!incident.current || now - incident.current.at > SOS_DEDUP_MS) incident.current = { id: `sos_${uid}_${now}`, at: now }
+    return incident.current.id
+  }
+
+  const trigger = async (triggeredBy = 'manual', reasons = []) => {
+    // Sound the local alarm even if the backend cannot be reached.
     setAlarm(true)
     if (navigator.vibrate) navigator.vibrate([300, 150, 300])
+    try {
+      const res = await track(send('/api/sos/trigger', {
+        user_uid: uid,
+        ...locationPayload(position),
+        triggered_by: triggeredBy,
+        reasons,
+        triggered_at: new Date().toISOString()
+      }, { priority: PRIORITY.SOS, dedupKey: incidentKey() }))
+      setTriggered(res)
+    } catch {}
+  }
+
+  const monitor = useTripMonitor({
+    active: !!trip,
+    route: trip?.route,
+    position,
+    night: trip?.time_of_day === 'night',
+    check: (body) => post('/api/sos/auto-check', body),
+    interval: interval(CHECK_INTERVAL_MS),
+  })
+
+  const onAutoResult = (res) => {
+    setAuto(res)
+    if (res?.should_trigger && trip && !countdown) setCountdown(res.reasons || [])
+  }
+
+  // Every periodic check result goes through the same countdown path.
+  useEffect(() => {
+    if (monitor.lastResult) onAutoResult(monitor.lastResult)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [monitor.lastResult])
+
+  const autoTrigger = async () => {
+    const reasons = countdown || []
+    setCountdown(null)
+    await trigger('auto', reasons)
+    const where = position ? ` Last location: https://www.openstreetmap.org/?mlat=${position.lat}&mlon=${position.lon}` : ''
+    try {
+      await track(send('/api/guardians/notify', {
+        user_uid: uid,
+        message: `Auto-SOS sent: ${reasons.join(', ') || 'no response to safety check'}.${where}`,
+        ...locationPayload(position),
+      }, { priority: PRIORITY.GUARDIAN, dedupKey: `${incidentKey()}:notify` }))
+    } catch {}
   }
 
   useEffect(() => {
@@ -627,66 +1118,127 @@ function SOS() {
   }, [alarm])
 
   const autoCheck = async () => {
-    const res = await post('/api/sos/auto-check', {
-      risk_level: 0.85,
-      is_stationary_minutes: 6,
-      fall_detected: false,
-      heart_rate: 130,
-      hr_baseline: 70
-    })
-    setAuto(res)
+    try {
+      if (trip) await monitor.runCheck()
+      else setAuto(await post('/api/sos/auto-check', monitor.payload()))
+    } catch {}
   }
 
   return (
-    <Section title="SOS & Auto-SOS">
+    <Section title="SOS & Auto-SOS" loading={loading} error={error} onDismissError={clearError}>
       <div className="flex flex-wrap gap-2">
-        <button onClick={trigger} className="px-4 py-2 rounded bg-red-600 text-white text-sm">Trigger SOS</button>
+        <button onClick={() => trigger()} className="px-4 py-2 rounded bg-red-600 text-white text-sm">Trigger SOS</button>
         <button onClick={autoCheck} className="px-4 py-2 rounded border text-sm">Run Auto Check</button>
       </div>
+      <div className="mt-3 flex flex-wrap items-center gap-2 text-xs text-gray-600">
+        {trip ? (
+          <>
+            <Badge color="green">Monitoring active trip</Badge>
+            <span>Stopped {monitor.stationaryMinutes.toFixed(1)} min</span>
+            {monitor.offRouteM != null && <span>· {Math.round(monitor.offRouteM)} m from route</span>}
+            {monitor.lastCheck && <span>· last check {new Date(monitor.lastCheck).toLocaleTimeString()}</span>}
+          </>
+        ) : (
+          <span>Start navigation in the planner to enable automatic checks during your trip.</span>
+        )}
+      </div>
+      {countdown && (
+        <SosCountdown reasons={countdown} onCancel={() => setCountdown(null)} onExpire={autoTrigger} onSendNow={autoTrigger} />
+      )}
       {triggered && (
         <div className="mt-3 p-3 rounded border bg-red-50 text-sm">
-          Triggered. Actions: call police, share live location, alarm, recording, cloud upload.
+          {triggered.queued
+            ? 'Offline: SOS saved and will be sent first as soon as a connection is available. Call emergency services directly if you can.'
+            : 'Triggered. Actions: call police, share live location, alarm, recording, cloud upload.'}
         </div>
       )}
       {auto && (
-        <div className="mt-3 text-sm text-gray-700">Auto-SOS: {auto.should_trigger? 'Would trigger' : 'No trigger'} · Reasons: {auto.reasons.join(', ')}</div>
+        <div className="mt-3 text-sm text-gray-700">Auto-SOS: {auto.should_trigger? 'Would trigger' : 'No trigger'} · Reasons: {(auto.reasons || []).join(', ')}</div>
       )}
     </Section>
   )
 }
 
 function SharingGuardian() {
-  const { post } = useBackend()
-  const [share, setShare] = useState('')
-  const [battery, setBattery] = useState(78)
+  const { track, loading, error, clearError } = useBackend()
+  const { send } = useOutbox()
+  const { uid } = useAuth()
+  const { position } = useGeolocation()
+  const battery = useBattery()
   const [guardianMsg, setGuardianMsg] = useState('Starting trip, ETA 20 min.')
+  const { trip } = useTrip()
+  const prefs = usePreferences()
+  const { night, guardianUpdateMs, interval } = prefs
+  const live = useLiveShare({ uid, route: trip?.route, position, battery: battery.level, interval: interval(PUSH_INTERVAL_MS) })
+  const guardianStore = useGuardians(uid)
+  const checkIns = useCheckIns(uid, position, { locationInterval: interval(CHECKIN_LOCATION_MS) })
+  // Verified guardians in escalation order; the backend alerts them in this order.
+  const verified = guardianStore.guardians.filter(g => g.verified)
+  const [autoUpdates, setAutoUpdates] = useState(true)
+  const [lastAuto, setLastAuto] = useState(null)
+  const positionRef = useRef(position)
+  positionRef.current = position
+  const verifiedRef = useRef([])
+  verifiedRef.current = verified.map(guardianId)
 
-  const createShare = async () => {
-    const res = await post('/api/location/share', {
-      user_uid: 'user_a',
-      route_id: 'route123',
-      eta_minutes: 18,
-      battery_level: battery,
-      platform: 'generic'
-    })
-    setShare(`${res.text}`)
-  }
+  // While navigating, guardians get the latest position on a timer.
+  useEffect(() => {
+    if (!trip || !autoUpdates) return
+    const t = setInterval(() => {
+      const pos = positionRef.current
+      send('/api/guardians/notify', {
+        user_uid: uid,
+        message: `Trip update: on my way${pos ? ` · https://www.openstreetmap.org/?mlat=${pos.lat}&mlon=${pos.lon}` : ''}`,
+        automatic: true,
+        guardian_ids: verifiedRef.current,
+        ...locationPayload(pos),
+      }, { priority: PRIORITY.GUARDIAN })
+        .then(() => setLastAuto(Date.now()))
+        .catch(() => {})
+    }, guardianUpdateMs)
+    return () => clearInterval(t)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [!!trip, autoUpdates, guardianUpdateMs])
+
+  // Before the phone dies, guardians get one last position and ETA, but only
+  // when something is in progress that they would otherwise be following.
+  const [batteryNote, setBatteryNote] = useState(null) // { text, failed }
+  useLowBattery(battery, prefs.lowBatteryLevel, (level) => {
+    const progress = trip?.route ? createTracker(trip.route).update(position) : null
+    const eta = progress ? Math.round(progress.eta_minutes) : null
+    const where = position ? ` Last location: https://www.openstreetmap.org/?mlat=${position.lat}&mlon=${position.lon}` : ''
+    send('/api/guardians/notify', {
+      user_uid: uid,
+      message: `My battery is at ${level}% and my phone may switch off soon.${eta != null ? ` ETA about ${eta} min.` : ''}${where}`,
+      guardian_ids: verified.map(guardianId),
+      automatic: true,
+      final: true,
+      battery_level: level,
+      eta_minutes: eta,
+      ...locationPayload(position),
+    }, { priority: PRIORITY.GUARDIAN })
+      .then(res => {
+        setLastAuto(Date.now())
+        setBatteryNote({ text: res?.queued ? 'Low battery: final update queued for guardians.' : 'Low battery: final update sent to guardians.' })
+      })
+      .catch(err => setBatteryNote({ text: `Low battery: could not update guardians (${describeError(err)}). Send an update manually.`, failed: true }))
+  }, { enabled: !!trip || !!live.session || checkIns.checkIns.length > 0 })
 
   const notifyGuardian = async () => {
-    await post('/api/guardians/notify', { user_uid: 'user_a', message: guardianMsg })
-    setGuardianMsg('Update sent to guardians.')
+    try {
+      const res = await track(send('/api/guardians/notify', { user_uid: uid, message: guardianMsg, guardian_ids: verified.map(guardianId), ...locationPayload(position) }, { priority: PRIORITY.GUARDIAN }))
+      setGuardianMsg(res?.queued ? 'Offline: update queued for guardians.' : 'Update sent to guardians.')
+    } catch {}
   }
 
   return (
-    <Section title="Live Sharing & Guardian Mode">
+    <Section title="Live Sharing & Guardian Mode" loading={loading} error={error} onDismissError={clearError}>
       <div className="grid md:grid-cols-2 gap-4">
         <div className="space-y-2">
           <div className="text-sm text-gray-700">Live Share</div>
-          <div className="flex items-center gap-2">
-            <input type="number" value={battery} onChange={e=>setBattery(parseInt(e.target.value||'0'))} className="w-28 border rounded px-3 py-2 text-sm" />
-            <button onClick={createShare} className="px-3 py-1.5 rounded border text-sm">Generate Share Text</button>
-          </div>
-          {share && <div className="p-2 bg-gray-50 rounded border text-xs whitespace-pre-wrap">{share}</div>}
+          <BatteryStatus battery={battery} prefs={prefs} />
+          {batteryNote && <div className={`text-xs ${batteryNote.failed ? 'text-red-600' : 'text-gray-600'}`}>{batteryNote.text}</div>}
+          <LiveSharePanel live={live} hasRoute={!!trip?.route} />
         </div>
         <div className="space-y-2">
           <div className="text-sm text-gray-700">Guardian Mode</div>
@@ -694,20 +1246,25 @@ function SharingGuardian() {
             <input value={guardianMsg} onChange={e=>setGuardianMsg(e.target.value)} className="flex-1 border rounded px-3 py-2 text-sm" />
             <button onClick={notifyGuardian} className="px-3 py-1.5 rounded bg-green-600 text-white text-sm">Send</button>
           </div>
+          <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+            <Toggle label="Automatic updates during trips" checked={autoUpdates} onChange={setAutoUpdates} />
+            <span>every {Math.round(guardianUpdateMs / 60000)} min{night ? ' (NightShield)' : ''}</span>
+            {trip && autoUpdates && <Badge color="green">Active{lastAuto ? ` · last ${new Date(lastAuto).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : ''}</Badge>}
+          </div>
+          {!verified.length && <div className="text-xs text-amber-700">No verified guardians yet: updates can't reach anyone.</div>}
         </div>
       </div>
+      <div className="grid md:grid-cols-2 gap-4 mt-4 pt-4 border-t">
+        <GuardianContacts store={guardianStore} />
+        <CheckInTimer store={checkIns} hasGuardians={verified.length > 0} />
+      </div>
     </Section>
   )
 }
 
 export default function App() {
-  const [night, setNight] = useState(false)
-  const [women, setWomen] = useState(false)
-  const [saver, setSaver] = useState(false)
-
-  useEffect(()=>{
-    document.documentElement.classList.toggle('dark', night)
-  }, [night])
+  const { user, role, logout } = useAuth()
+  const { night, women, saver, setNight, setWomen, setSaver } = usePreferences()
 
   return (
     <div className={`min-h-screen ${night ? 'bg-gray-950' : 'bg-gradient-to-br from-blue-50 to-indigo-50'}`}>
@@ -727,6 +1284,13 @@ export default function App() {
             {night && <Badge color="violet">High-contrast UI + frequent guardian updates</Badge>}
             {women && <Badge color="red">Female-focused alerts enabled</Badge>}
             {saver && <Badge color="gray">Reduced updates to save battery</Badge>}
+            <LocationStatus night={night} />
+            <OutboxStatus />
+            <div className="flex items-center gap-2">
+              <span className={`text-sm ${night? 'text-gray-300':'text-gray-700'}`}>{user?.name || user?.username || user?.uid}</span>
+              {role === 'moderator' && <Link to="/moderation" className="px-2 py-1 text-xs rounded border bg-white">Moderation</Link>}
+              <button onClick={logout} className="px-2 py-1 text-xs rounded border bg-white">Log out</button>
+            </div>
           </div>
         </header>
 
@@ -0,0 +1,57 @@
+import { useState } from 'react'
+import { Navigate, useLocation, useNavigate } from 'react-router-dom'
+import { useAuth } from './lib/auth'
+import { describeError } from './lib/api'
+
+function Login() {
+  const auth = useAuth()
+  const navigate = useNavigate()
+  const location = useLocation()
+  const [mode, setMode] = useState('login') // 'login' | 'register'
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  const from = location.state?.from?.pathname || '/'
+  if (auth.isAuthenticated) return <Navigate to={from} replace />
+
+  const submit = async (e) => {
+    e.preventDefault()
+    if (!username.trim() || !password) return
+    setBusy(true)
+    setError('')
+    try {
+      if (mode === 'login') await auth.login(username.trim(), password)
+      else await auth.register(username.trim(), password)
+      navigate(from, { replace: true })
+    } catch (err) {
+      setError(err.status === 401 ? 'Wrong username or password.' : describeError(err))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-50 flex items-center justify-center p-8">
+      <form onSubmit={submit} className="bg-white p-8 rounded-lg shadow-lg max-w-sm w-full space-y-4">
+        <div className="flex items-center gap-3">
+          <div className="h-9 w-9 rounded-xl bg-blue-600 shadow-inner"></div>
+          <h1 className="text-2xl font-bold text-gray-900">SafeRoutes</h1>
+        </div>
+        <div className="text-sm text-gray-600">{mode === 'login' ? 'Sign in to plan routes and reach your guardians.' : 'Create an account.'}</div>
+        <input value={username} onChange={e=>setUsername(e.target.value)} autoComplete="username" className="w-full border rounded px-3 py-2 text-sm" placeholder="Username" />
+        <input type="password" value={password} onChange={e=>setPassword(e.target.value)} autoComplete={mode === 'login' ? 'current-password' : 'new-password'} className="w-full border rounded px-3 py-2 text-sm" placeholder="Password" />
+        {error && <div className="text-sm text-red-600">{error}</div>}
+        <button type="submit" disabled={busy} className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded disabled:opacity-50">
+          {busy ? 'Please wait...' : mode === 'login' ? 'Sign in' : 'Create account'}
+        </button>
+        <button type="button" onClick={() => setMode(mode === 'login' ? 'register' : 'login')} className="w-full text-sm text-blue-700 underline">
+          {mode === 'login' ? 'New here? Create an account' : 'Already have an account? Sign in'}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default Login
@@ -0,0 +1,91 @@
+import { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { useBackend } from './lib/api'
+import { Section, Badge } from './components/ui'
+import { categoryOf, reportId, timeAgo } from './lib/reports'
+
+function Moderation() {
+  const { get, post, loading, error, clearError } = useBackend()
+  const [status, setStatus] = useState('flagged')
+  const [reports, setReports] = useState([])
+  const [done, setDone] = useState({}) // report id -> action taken
+
+  const load = async () => {
+    try {
+      const res = await get(`/api/moderation/reports?status=${status}`, { key: 'list' })
+      setReports(res?.reports || [])
+      setDone({})
+    } catch {}
+  }
+
+  useEffect(() => { load() }, [status])
+
+  const act = async (r, action) => {
+    try {
+      await post(`/api/moderation/reports/${reportId(r)}`, { action })
+      setDone(d => ({ ...d, [reportId(r)]: action }))
+    } catch {}
+  }
+  const ban = async (r) => {
+    if (!r.reporter_uid || !window.confirm(`Ban ${r.reporter_uid} from submitting reports?`)) return
+    try {
+      await post(`/api/moderation/users/${encodeURIComponent(r.reporter_uid)}/ban`, { reason: 'abusive reports', report_id: reportId(r) })
+      setDone(d => ({ ...d, [reportId(r)]: 'banned' }))
+    } catch {}
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-50">
+      <div className="max-w-4xl mx-auto px-4 py-6 space-y-6">
+        <header className="flex items-center justify-between">
+          <h1 className="text-xl md:text-2xl font-bold text-gray-900">Report moderation</h1>
+          <Link to="/" className="px-3 py-1.5 rounded border text-sm bg-white">Back to app</Link>
+        </header>
+        <Section title="Queue" loading={loading} error={error} onDismissError={clearError} actions={
+          <div className="flex gap-2">
+            <select value={status} onChange={e=>setStatus(e.target.value)} className="px-2 py-1 text-sm border rounded">
+              <option value="flagged">Flagged</option>
+              <option value="hidden">Hidden</option>
+            </select>
+            <button onClick={load} className="px-3 py-1.5 rounded border text-sm">Refresh</button>
+          </div>
+        }>
+          <div className="space-y-2">
+            {reports.map(r => {
+              const cat = categoryOf(r.category)
+              const taken = done[reportId(r)]
+              return (
+                <div key={reportId(r)} className={`p-3 border rounded bg-white ${taken ? 'opacity-60' : ''}`}>
+                  <div className="flex items-center justify-between">
+                    <div className="text-sm font-medium" style={{ color: cat.color }}>{cat.label}</div>
+                    <div className="flex gap-1">
+                      <Badge color="red">{r.flag_count ?? r.flags?.length ?? 0} flags</Badge>
+                      <Badge color="slate">▲ {r.upvotes ?? 0} ▼ {r.downvotes ?? 0}</Badge>
+                    </div>
+                  </div>
+                  {r.description && <div className="text-sm text-gray-800 mt-1">{r.description}</div>}
+                  <div className="text-xs text-gray-500 mt-1">by {r.reporter_uid || 'unknown'} · {timeAgo(r.created_at)}</div>
+                  {!!r.flags?.length && (
+                    <div className="text-xs text-gray-600 mt-1">Reasons: {[...new Set(r.flags.map(f => f.reason))].join(', ')}</div>
+                  )}
+                  <div className="flex gap-2 mt-2">
+                    {taken ? <Badge color="gray">{taken}</Badge> : (
+                      <>
+                        <button onClick={() => act(r, 'approve')} className="px-2 py-1 text-xs rounded bg-green-600 text-white">Approve</button>
+                        <button onClick={() => act(r, 'hide')} className="px-2 py-1 text-xs rounded border">Hide</button>
+                        <button onClick={() => ban(r)} className="px-2 py-1 text-xs rounded border text-red-600">Ban reporter</button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              )
+            })}
+            {!reports.length && <div className="text-sm text-gray-500">Nothing to review.</div>}
+          </div>
+        </Section>
+      </div>
+    </div>
+  )
+}
+
+export default Moderation
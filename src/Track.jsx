@@ -0,0 +1,80 @@
+import { useEffect, useRef } from 'react'
+import { useParams } from 'react-router-dom'
+import { MapContainer, CircleMarker, Circle, useMap } from 'react-leaflet'
+import 'leaflet/dist/leaflet.css'
+import { Section, Badge } from './components/ui'
+import MapTiles from './components/MapTiles'
+import { SafetyRoute } from './components/SafetyRoute'
+import { useSharedLocation, SHARE_ENDED } from './lib/liveShare'
+import { timeAgo } from './lib/reports'
+
+// Centres on the sharer the first time a position arrives, then follows it
+// without changing the viewer's zoom.
+function Follow({ location }) {
+  const map = useMap()
+  const first = useRef(true)
+  useEffect(() => {
+    if (!location) return
+    if (first.current) map.setView([location.lat, location.lon], 16)
+    else map.panTo([location.lat, location.lon])
+    first.current = false
+  }, [location?.lat, location?.lon])
+  return null
+}
+
+const clock = (iso) => (iso ? new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '—')
+
+// Public, read-only view of a live location share at /track/:token.
+function Track() {
+  const { token } = useParams()
+  const { data, error, loading } = useSharedLocation(token)
+  const missing = error?.status === 404 || error?.status === 410
+  const status = data?.status
+  const loc = data?.location
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-50">
+      <div className="max-w-4xl mx-auto px-4 py-6 space-y-6">
+        <header className="flex items-center justify-between">
+          <h1 className="text-xl md:text-2xl font-bold text-gray-900">SafeRoutes live location</h1>
+          {status === 'active' && <Badge color="green">Live</Badge>}
+        </header>
+        <Section title={data?.name ? `${data.name} is sharing their trip` : 'Shared trip'} loading={loading && !data} error={missing ? null : error}>
+          {missing && <div className="text-sm text-gray-700">This link doesn't exist or is no longer available.</div>}
+          {status && status !== 'active' && (
+            <div className={`mb-3 p-3 rounded border text-sm ${status === 'arrived' ? 'bg-green-50 border-green-200 text-green-800' : 'bg-gray-50 text-gray-700'}`}>
+              {SHARE_ENDED[status] || 'Sharing has ended'}{data.ended_at ? ` · ${clock(data.ended_at)}` : ''}
+            </div>
+          )}
+          {data && (
+            <div className="space-y-3">
+              <div className="flex flex-wrap gap-2 text-sm">
+                {data.eta_minutes != null && status === 'active' && <Badge color="blue">ETA {Number(data.eta_minutes).toFixed(0)} min</Badge>}
+                {data.remaining_m != null && status === 'active' && <Badge color="slate">{(data.remaining_m / 1000).toFixed(1)} km to go</Badge>}
+                {data.battery_level != null && <Badge color={data.battery_level <= 15 ? 'red' : data.battery_level <= 30 ? 'amber' : 'green'}>Battery {data.battery_level}%</Badge>}
+                {data.updated_at && <Badge color="gray">Updated {timeAgo(data.updated_at)}</Badge>}
+                {status === 'active' && data.expires_at && <span className="text-xs text-gray-500 self-center">Link expires at {clock(data.expires_at)}</span>}
+              </div>
+              <div className="rounded-lg overflow-hidden border" style={{ height: '60vh' }}>
+                <MapContainer center={loc ? [loc.lat, loc.lon] : [28.6139, 77.209]} zoom={loc ? 16 : 12} style={{ height: '100%', width: '100%' }}>
+                  <MapTiles />
+                  {data.route?.geometry && <SafetyRoute route={data.route} chosen />}
+                  {loc && (
+                    <>
+                      {loc.accuracy != null && <Circle center={[loc.lat, loc.lon]} radius={loc.accuracy} pathOptions={{ color: '#2563eb', weight: 1, fillOpacity: 0.1 }} />}
+                      <CircleMarker center={[loc.lat, loc.lon]} radius={9} pathOptions={{ color: '#fff', weight: 3, fillColor: status === 'active' ? '#2563eb' : '#6b7280', fillOpacity: 1 }} />
+                    </>
+                  )}
+                  <Follow location={loc} />
+                </MapContainer>
+              </div>
+              {!loc && <div className="text-xs text-gray-500">Waiting for the first location update…</div>}
+            </div>
+          )}
+        </Section>
+      </div>
+    </div>
+  )
+}
+
+export default Track
@@ -0,0 +1,87 @@
+import { useEffect, useRef, useState } from 'react'
+import { useAddress, useGeocoder, formatCoords } from '../lib/geocoder'
+
+const DEBOUNCE_MS = 350
+const MIN_CHARS = 3
+
+// Autocomplete box; calls onSelect({ lat, lon, label }) when a suggestion is picked.
+export default function AddressSearch({ label, value, onSelect, near, placeholder = 'Search address or place' }) {
+  const geocoder = useGeocoder()
+  const current = useAddress(value)
+  const [query, setQuery] = useState('')
+  const [editing, setEditing] = useState(false)
+  const [results, setResults] = useState([])
+  const [active, setActive] = useState(0)
+  const [status, setStatus] = useState('')
+  const blurTimer = useRef(null)
+
+  useEffect(() => {
+    if (!editing || query.trim().length < MIN_CHARS) { setResults([]); setStatus(''); return }
+    let alive = true
+    const t = setTimeout(async () => {
+      setStatus('Searching…')
+      try {
+        const found = await geocoder.search(query, { near })
+        if (!alive) return
+        setResults(found)
+        setActive(0)
+        setStatus(found.length ? '' : 'No matches')
+      } catch {
+        if (alive) setStatus('Search unavailable')
+      }
+    }, DEBOUNCE_MS)
+    return () => { alive = false; clearTimeout(t) }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [query, editing, geocoder])
+
+  const pick = (r) => {
+    onSelect({ lat: r.lat, lon: r.lon, label: r.label })
+    setEditing(false)
+    setQuery('')
+    setResults([])
+  }
+
+  const onKeyDown = (e) => {
+    if (!results.length) return
+    if (e.key === 'ArrowDown') { e.preventDefault(); setActive((active + 1) % results.length) }
+    else if (e.key === 'ArrowUp') { e.preventDefault(); setActive((active - 1 + results.length) % results.length) }
+    else if (e.key === 'Enter') { e.preventDefault(); pick(results[active]) }
+    else if (e.key === 'Escape') setEditing(false)
+  }
+
+  const shown = editing ? query : (value?.label || current || (value ? formatCoords(value, 4) : ''))
+
+  return (
+    <div className="relative">
+      {label && <label className="text-xs text-gray-600">{label}</label>}
+      <input value={shown} placeholder={placeholder}
+        onFocus={() => { setEditing(true); setQuery('') }}
+        onBlur={() => { blurTimer.current = setTimeout(() => setEditing(false), 150) }}
+        onChange={e => setQuery(e.target.value)} onKeyDown={onKeyDown}
+        role="combobox" aria-expanded={!!results.length} aria-autocomplete="list"
+        className="w-full border rounded px-2 py-1 text-sm" />
+      {editing && (results.length > 0 || status) && (
+        <ul role="listbox" className="absolute z-[1000] left-0 right-0 mt-1 bg-white border rounded shadow max-h-60 overflow-auto text-sm">
+          {results.map((r, i) => (
+            <li key={`${r.lat},${r.lon},${i}`} role="option" aria-selected={i === active}
+              onMouseDown={() => clearTimeout(blurTimer.current)} onClick={() => pick(r)}
+              className={`px-2 py-1.5 cursor-pointer ${i === active ? 'bg-blue-50' : 'hover:bg-gray-50'}`}>
+              {r.label}
+            </li>
+          ))}
+          {status && <li className="px-2 py-1.5 text-xs text-gray-500">{status}</li>}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+// Reverse-geocoded name for a point, falling back to coordinates while loading or unknown.
+export function PlaceLabel({ point, label, digits = 3 }) {
+  const resolved = useAddress(label ? null : point)
+  const text = label || resolved
+  return <span title={formatCoords(point, 5)}>{text ? shorten(text) : formatCoords(point, digits)}</span>
+}
+
+// Full geocoder labels are long ("Street, Area, District, City, State, Postcode, Country").
+const shorten = (text) => text.split(',').slice(0, 2).join(',').trim()
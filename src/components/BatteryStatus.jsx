@@ -0,0 +1,37 @@
+import { Badge } from './ui'
+
+const color = (level) => (level == null ? 'gray' : level <= 15 ? 'red' : level <= 30 ? 'amber' : 'green')
+
+function LevelInput({ label, value, onChange }) {
+  return (
+    <label className="flex items-center gap-1">
+      {label}
+      <input type="number" min="0" max="100" value={value} onChange={e => onChange(Math.min(100, Math.max(0, parseInt(e.target.value || '0'))))} className="w-14 border rounded px-1.5 py-0.5 text-xs" />%
+    </label>
+  )
+}
+
+// Battery level from the device, or a manual entry where the Battery Status
+// API isn't available, plus the low-battery thresholds.
+export default function BatteryStatus({ battery, prefs }) {
+  return (
+    <div className="space-y-1.5">
+      <div className="flex items-center gap-2 text-xs text-gray-600">
+        Battery
+        {battery.source === 'device' ? (
+          <Badge color={color(battery.level)}>{battery.level}%{battery.charging ? ' · charging' : ''}</Badge>
+        ) : (
+          <>
+            <input type="number" min="0" max="100" value={battery.level ?? ''} placeholder="%" onChange={e => battery.setManual(e.target.value === '' ? null : parseInt(e.target.value))} className="w-16 border rounded px-2 py-1 text-sm" />
+            <span className="text-gray-500">{battery.supported ? 'reading battery…' : 'not reported by this browser, enter it manually'}</span>
+          </>
+        )}
+        {prefs.saverAuto && <Badge color="gray">Battery Saver on (low battery)</Badge>}
+      </div>
+      <div className="flex flex-wrap items-center gap-3 text-xs text-gray-600">
+        <LevelInput label="Battery Saver below" value={prefs.autoSaverLevel} onChange={v => prefs.setBatteryLevels({ autoSaverLevel: v })} />
+        <LevelInput label="Final update to guardians below" value={prefs.lowBatteryLevel} onChange={v => prefs.setBatteryLevels({ lowBatteryLevel: v })} />
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,151 @@
+import { useRef, useState } from 'react'
+import { Badge } from './ui'
+import { PlaceLabel } from './AddressSearch'
+import { describeError } from '../lib/api'
+import { download } from '../lib/files'
+import { modeOf, MODES } from '../lib/modes'
+import { profileMode } from '../lib/profiles'
+import { BOOKMARK_TAGS, parseBookmarks, exportBookmarksJson, exportBookmarksGpx } from '../lib/bookmarks'
+
+const parseTags = (text) => text.split(',').map(t => t.trim().toLowerCase()).filter(Boolean)
+
+export function TagPicker({ value, onChange }) {
+  const [text, setText] = useState('')
+  const toggle = (t) => onChange(value.includes(t) ? value.filter(x => x !== t) : [...value, t])
+  const custom = value.filter(t => !BOOKMARK_TAGS.includes(t))
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      {[...BOOKMARK_TAGS, ...custom].map(t => (
+        <button key={t} type="button" onClick={() => toggle(t)}
+          className={`px-2 py-0.5 rounded-full border text-xs capitalize ${value.includes(t) ? 'bg-blue-600 text-white border-blue-600' : 'bg-white'}`}>{t}</button>
+      ))}
+      <input value={text} onChange={e => setText(e.target.value)} placeholder="+ tag"
+        onKeyDown={e => { if (e.key === 'Enter' && text.trim()) { e.preventDefault(); onChange([...new Set([...value, ...parseTags(text)])]); setText('') } }}
+        className="w-20 border rounded px-1.5 py-0.5 text-xs" />
+    </div>
+  )
+}
+
+function BookmarkEditor({ bookmark, profiles, onSave, onCancel }) {
+  const [draft, setDraft] = useState(bookmark)
+  return (
+    <div className="space-y-1.5">
+      <input value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} className="w-full border rounded px-2 py-1 text-sm" />
+      <TagPicker value={draft.tags} onChange={tags => setDraft({ ...draft, tags })} />
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <select value={draft.mode || ''} onChange={e => setDraft({ ...draft, mode: e.target.value || null })} className="px-2 py-1 border rounded">
+          <option value="">Any mode</option>
+          {MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+          {profiles.map(p => <option key={p.id} value={profileMode(p)}>{p.name}</option>)}
+        </select>
+        <label className="flex items-center gap-1">Leave at
+          <input type="time" value={draft.depart_time || ''} onChange={e => setDraft({ ...draft, depart_time: e.target.value || null })} className="border rounded px-1.5 py-0.5" />
+        </label>
+      </div>
+      <div className="flex gap-2">
+        <button onClick={() => onSave(draft)} className="px-2 py-1 rounded bg-blue-600 text-white text-xs">Save</button>
+        <button onClick={onCancel} className="px-2 py-1 rounded border text-xs">Cancel</button>
+      </div>
+    </div>
+  )
+}
+
+const SYNC_LABEL = { idle: '', syncing: 'Syncing…', synced: 'Synced', offline: 'Offline, will sync later' }
+
+// Tag-filtered, drag-to-reorder bookmark list; `store` is useBookmarks().
+export default function Bookmarks({ store, profiles, onUse }) {
+  const { bookmarks, sync } = store
+  const [tag, setTag] = useState(null)
+  const [editing, setEditing] = useState(null)
+  const [dragging, setDragging] = useState(null)
+  const [over, setOver] = useState(null)
+  const [note, setNote] = useState('')
+  const fileRef = useRef(null)
+
+  const tags = [...new Set(bookmarks.flatMap(b => b.tags))].sort()
+  const visible = tag ? bookmarks.filter(b => b.tags.includes(tag)) : bookmarks
+  // Reordering is done on the full list so filtered views keep other entries in place.
+  const indexOf = (b) => bookmarks.indexOf(b)
+  // Button fallback for drag and drop (touch screens, keyboard): swaps with the
+  // neighbour shown in the current view.
+  const shift = (i, delta) => store.move(indexOf(visible[i]), indexOf(visible[i + delta]))
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const list = parseBookmarks(await file.text())
+      store.importMany(list)
+      setNote(`Imported ${list.length} bookmark${list.length > 1 ? 's' : ''}`)
+    } catch (err) {
+      setNote(`Import failed: ${err.message}`)
+    }
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <div className="text-sm font-medium">Bookmarks</div>
+        <div className="flex items-center gap-1.5">
+          {SYNC_LABEL[sync.status] && <span className={`text-xs ${sync.status === 'offline' ? 'text-amber-700' : 'text-gray-500'}`} title={sync.error ? describeError(sync.error) : undefined}>{SYNC_LABEL[sync.status]}</span>}
+          <button onClick={() => fileRef.current?.click()} className="px-2 py-1 text-xs rounded border">Import</button>
+          <button onClick={() => download('saferoutes-bookmarks.json', exportBookmarksJson(bookmarks), 'application/json')} disabled={!bookmarks.length} className="px-2 py-1 text-xs rounded border disabled:opacity-50">JSON</button>
+          <button onClick={() => download('saferoutes-bookmarks.gpx', exportBookmarksGpx(bookmarks), 'application/gpx+xml')} disabled={!bookmarks.length} className="px-2 py-1 text-xs rounded border disabled:opacity-50">GPX</button>
+          <input ref={fileRef} type="file" accept=".json,.gpx,application/json,application/gpx+xml" onChange={onFile} className="hidden" />
+        </div>
+      </div>
+      {!!sync.conflicts?.length && <div className="mb-2 text-xs text-amber-700">Changed on another device too, kept the newest: {sync.conflicts.join(', ')}</div>}
+      {note && <div className="mb-2 text-xs text-gray-700">{note}</div>}
+      {!!tags.length && (
+        <div className="flex flex-wrap gap-1 mb-2">
+          <button onClick={() => setTag(null)} className={`px-2 py-0.5 rounded-full border text-xs ${!tag ? 'bg-gray-900 text-white border-gray-900' : 'bg-white'}`}>All</button>
+          {tags.map(t => (
+            <button key={t} onClick={() => setTag(t === tag ? null : t)} className={`px-2 py-0.5 rounded-full border text-xs capitalize ${t === tag ? 'bg-gray-900 text-white border-gray-900' : 'bg-white'}`}>{t}</button>
+          ))}
+        </div>
+      )}
+      <div className="space-y-2 max-h-64 overflow-auto pr-1">
+        {visible.map((b, i) => (
+          <div key={b.id} draggable={editing !== b.id}
+            onDragStart={() => setDragging(indexOf(b))}
+            onDragOver={(e) => { e.preventDefault(); setOver(b.id) }}
+            onDrop={(e) => { e.preventDefault(); if (dragging != null && dragging !== indexOf(b)) store.move(dragging, indexOf(b)); setDragging(null); setOver(null) }}
+            onDragEnd={() => { setDragging(null); setOver(null) }}
+            className={`p-2 bg-white rounded border ${over === b.id ? 'border-blue-500' : ''} ${dragging === indexOf(b) ? 'opacity-50' : ''}`}>
+            {editing === b.id ? (
+              <BookmarkEditor bookmark={b} profiles={profiles} onCancel={() => setEditing(null)}
+                onSave={(d) => { store.update(b.id, { name: d.name.trim() || b.name, tags: d.tags, mode: d.mode, depart_time: d.depart_time }); setEditing(null) }} />
+            ) : (
+              <>
+                <div className="flex items-center justify-between gap-2">
+                  <div className="flex items-center gap-1.5 min-w-0">
+                    <span className="text-gray-400 select-none cursor-move" aria-hidden="true">⋮⋮</span>
+                    <div className="text-sm font-medium truncate">{b.name}</div>
+                    {b.dirty && <span className="text-xs text-gray-400" title="Not synced yet">•</span>}
+                  </div>
+                  <div className="flex gap-2">
+                    <button onClick={() => shift(i, -1)} disabled={i === 0} aria-label={`Move ${b.name} up`} className="px-1.5 py-1 text-xs rounded border disabled:opacity-40">↑</button>
+                    <button onClick={() => shift(i, 1)} disabled={i === visible.length - 1} aria-label={`Move ${b.name} down`} className="px-1.5 py-1 text-xs rounded border disabled:opacity-40">↓</button>
+                    <button onClick={() => onUse(b)} className="px-2 py-1 text-xs rounded border">Use</button>
+                    <button onClick={() => setEditing(b.id)} className="px-2 py-1 text-xs rounded border">Edit</button>
+                    <button onClick={() => store.remove(b.id)} className="px-2 py-1 text-xs rounded border text-red-600">Delete</button>
+                  </div>
+                </div>
+                <div className="text-xs text-gray-600 mt-1"><PlaceLabel point={b.start} label={b.start.label} /> → <PlaceLabel point={b.end} label={b.end.label} />{b.waypoints?.length ? ` · via ${b.waypoints.length} stop${b.waypoints.length > 1 ? 's' : ''}` : ''}</div>
+                {(b.tags.length > 0 || b.mode || b.depart_time) && (
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    {b.tags.map(t => <Badge key={t} color="slate">{t}</Badge>)}
+                    {b.mode && <Badge color="blue">{modeOf(b.mode, profiles).label}</Badge>}
+                    {b.depart_time && <Badge color="gray">Leave {b.depart_time}</Badge>}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        ))}
+        {!visible.length && <div className="text-sm text-gray-500">{tag ? `No bookmarks tagged ${tag}.` : 'No bookmarks yet. Add one from the route summary above.'}</div>}
+      </div>
+    </div>
+  )
+}
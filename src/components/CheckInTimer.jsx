@@ -0,0 +1,84 @@
+import { useEffect, useState } from 'react'
+import { Badge } from './ui'
+import { describeError } from '../lib/api'
+import { SNOOZE_OPTIONS } from '../lib/guardians'
+
+const clock = (d) => d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+const pad = (n) => String(n).padStart(2, '0')
+
+// Default deadline: an hour from now, on the next quarter hour.
+const defaultTime = () => {
+  const d = new Date(Date.now() + 60 * 60000)
+  d.setMinutes(Math.ceil(d.getMinutes() / 15) * 15, 0, 0)
+  return `${pad(d.getHours())}:${pad(d.getMinutes())}`
+}
+
+// "HH:MM" today, or tomorrow if that time has already passed.
+const nextOccurrence = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number)
+  const d = new Date()
+  d.setHours(h, m, 0, 0)
+  if (d <= new Date()) d.setDate(d.getDate() + 1)
+  return d
+}
+
+const remaining = (due, now) => {
+  const mins = Math.round((due - now) / 60000)
+  if (mins <= 0) return 'overdue'
+  return mins >= 60 ? `${Math.floor(mins / 60)} h ${mins % 60} min left` : `${mins} min left`
+}
+
+// Schedule and manage check-ins; `store` is useCheckIns().
+export default function CheckInTimer({ store, hasGuardians }) {
+  const [time, setTime] = useState(defaultTime)
+  const [message, setMessage] = useState('')
+  const [now, setNow] = useState(() => Date.now())
+
+  useEffect(() => {
+    if (!store.checkIns.length) return
+    const t = setInterval(() => setNow(Date.now()), 30000)
+    return () => clearInterval(t)
+  }, [store.checkIns.length])
+
+  const schedule = async (e) => {
+    e.preventDefault()
+    try {
+      await store.schedule(nextOccurrence(time), message.trim() || undefined)
+      setMessage('')
+    } catch {}
+  }
+
+  const run = (fn) => fn().catch(() => {})
+
+  return (
+    <div className="space-y-2">
+      <div className="text-sm text-gray-700">Check-in timer</div>
+      <form onSubmit={schedule} className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="text-xs text-gray-600">Alert my guardians if I haven't checked in by</span>
+        <input type="time" value={time} onChange={e => setTime(e.target.value)} required className="border rounded px-2 py-1 text-sm" />
+        <input value={message} onChange={e => setMessage(e.target.value)} placeholder="Note for guardians (optional)" className="flex-1 min-w-[10rem] border rounded px-2 py-1 text-sm" />
+        <button type="submit" disabled={!hasGuardians} className="px-3 py-1.5 rounded bg-green-600 text-white text-sm disabled:opacity-50">Set</button>
+      </form>
+      {!hasGuardians && <div className="text-xs text-gray-500">Add and verify a guardian first.</div>}
+      {store.error && <div className="text-xs text-red-600">{describeError(store.error)} <button onClick={store.clearError} className="underline">Dismiss</button></div>}
+      {store.checkIns.map(c => {
+        const due = new Date(c.due_at)
+        const overdue = due.getTime() <= now
+        return (
+          <div key={c._id || c.id} className={`p-2 rounded border flex flex-wrap items-center gap-2 ${overdue ? 'border-red-300 bg-red-50' : 'bg-white'}`}>
+            <div className="flex-1 min-w-0">
+              <div className="text-sm font-medium">Check in by {clock(due)}</div>
+              <div className="text-xs text-gray-600">{overdue ? 'Overdue: your guardians are being alerted with your last location.' : remaining(due, now)}{c.message ? ` · ${c.message}` : ''}</div>
+            </div>
+            {c.snoozed_count > 0 && <Badge color="gray">Snoozed ×{c.snoozed_count}</Badge>}
+            <button onClick={() => run(() => store.complete(c))} className="px-3 py-1 rounded bg-green-600 text-white text-xs">I'm safe</button>
+            {SNOOZE_OPTIONS.map(m => (
+              <button key={m} onClick={() => run(() => store.snooze(c, m))} className="px-2 py-1 rounded border text-xs">+{m} min</button>
+            ))}
+            <button onClick={() => run(() => store.cancel(c))} className="px-2 py-1 rounded border text-xs">Cancel</button>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
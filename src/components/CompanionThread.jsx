@@ -0,0 +1,102 @@
+import { useEffect, useRef, useState } from 'react'
+import { MapContainer, Marker, CircleMarker, Tooltip, useMapEvents } from 'react-leaflet'
+import { Badge } from './ui'
+import MapTiles from './MapTiles'
+import { PlaceLabel } from './AddressSearch'
+import { describeError } from '../lib/api'
+import { useCompanionChat, CHAT_POLL_MS } from '../lib/companions'
+import { usePreferences } from '../lib/preferences'
+
+const clock = (iso) => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+
+function PickPoint({ active, onPick }) {
+  useMapEvents({ click: (e) => { if (active) onPick({ lat: e.latlng.lat, lon: e.latlng.lng }) } })
+  return null
+}
+
+// Both starts and the agreed meeting point; either side can move the point.
+function MeetingPointMap({ mine, theirs, meetingPoint, onSet }) {
+  const [picking, setPicking] = useState(false)
+  const center = meetingPoint || mine?.origin || theirs?.origin
+  return (
+    <div className="space-y-1.5">
+      <div className="flex items-center justify-between gap-2 text-xs">
+        <div className="text-gray-600">
+          Meeting point: {meetingPoint ? <PlaceLabel point={meetingPoint} label={meetingPoint.label} /> : 'not set yet'}
+        </div>
+        <div className="flex gap-1.5">
+          {mine?.origin && <button onClick={() => onSet(mine.origin)} className="px-2 py-1 rounded border">My start</button>}
+          <button onClick={() => setPicking(v => !v)} className={`px-2 py-1 rounded border ${picking ? 'bg-blue-600 text-white border-blue-600' : ''}`}>{picking ? 'Click the map…' : 'Pick on map'}</button>
+        </div>
+      </div>
+      {center && (
+        <div className="rounded overflow-hidden border" style={{ height: 200 }}>
+          <MapContainer center={[center.lat, center.lon]} zoom={15} style={{ height: '100%', width: '100%' }}>
+            <MapTiles />
+            <PickPoint active={picking} onPick={(p) => { setPicking(false); onSet(p) }} />
+            {mine?.origin && <CircleMarker center={[mine.origin.lat, mine.origin.lon]} radius={7} pathOptions={{ color: '#2563eb', fillOpacity: 0.7 }}><Tooltip>Your start</Tooltip></CircleMarker>}
+            {theirs?.origin && <CircleMarker center={[theirs.origin.lat, theirs.origin.lon]} radius={7} pathOptions={{ color: '#ea580c', fillOpacity: 0.7 }}><Tooltip>Their start</Tooltip></CircleMarker>}
+            {meetingPoint && <Marker position={[meetingPoint.lat, meetingPoint.lon]}><Tooltip permanent direction="top">Meet here</Tooltip></Marker>}
+          </MapContainer>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Chat and meeting point of one accepted invitation.
+export default function CompanionThread({ uid, invitation, onSetMeetingPoint, onClose }) {
+  const id = invitation._id || invitation.id
+  const { interval } = usePreferences()
+  const { messages, send, error } = useCompanionChat(uid, id, { pollInterval: interval(CHAT_POLL_MS) })
+  const [text, setText] = useState('')
+  const [note, setNote] = useState('')
+  const listRef = useRef(null)
+  const outgoing = invitation.from_uid === uid
+  const mine = outgoing ? invitation.from_request : invitation.to_request
+  const theirs = outgoing ? invitation.to_request : invitation.from_request
+  const partner = (outgoing ? invitation.to_name : invitation.from_name) || (outgoing ? invitation.to_uid : invitation.from_uid)
+
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight
+  }, [messages.length])
+
+  const submit = async (e) => {
+    e.preventDefault()
+    if (!text.trim()) return
+    setNote('')
+    try {
+      await send(text.trim())
+      setText('')
+    } catch (err) {
+      setNote(`Not sent: ${describeError(err)}`)
+    }
+  }
+
+  return (
+    <div className="p-3 border rounded bg-white space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="text-sm font-medium">Travelling with {partner}</div>
+        <button onClick={onClose} className="px-2 py-1 text-xs rounded border">Close</button>
+      </div>
+      <MeetingPointMap mine={mine} theirs={theirs} meetingPoint={invitation.meeting_point} onSet={(p) => onSetMeetingPoint(invitation, p)} />
+      <div ref={listRef} className="space-y-1.5 max-h-48 overflow-auto pr-1">
+        {messages.map(m => (
+          <div key={m._id || m.id} className={`flex ${m.user_uid === uid ? 'justify-end' : 'justify-start'}`}>
+            <div className={`max-w-[80%] px-2 py-1 rounded text-sm ${m.user_uid === uid ? 'bg-blue-600 text-white' : 'bg-gray-100'}`}>
+              {m.text}
+              <div className={`text-[10px] ${m.user_uid === uid ? 'text-blue-100' : 'text-gray-500'}`}>{clock(m.created_at)}</div>
+            </div>
+          </div>
+        ))}
+        {!messages.length && <div className="text-xs text-gray-500">No messages yet. Say hello and agree where to meet.</div>}
+      </div>
+      {error && <Badge color="amber">Chat is reconnecting</Badge>}
+      <form onSubmit={submit} className="flex gap-2">
+        <input value={text} onChange={e => setText(e.target.value)} maxLength={500} placeholder="Message" className="flex-1 border rounded px-2 py-1 text-sm" />
+        <button type="submit" disabled={!text.trim()} className="px-3 py-1.5 rounded bg-blue-600 text-white text-sm disabled:opacity-50">Send</button>
+      </form>
+      {note && <div className="text-xs text-red-600">{note}</div>}
+    </div>
+  )
+}
@@ -0,0 +1,86 @@
+import { useState } from 'react'
+import { Badge } from './ui'
+import { sunTimes, formatClock } from '../lib/sun'
+import { isAbort } from '../lib/api'
+
+export const WINDOW_OFFSETS = [-90, -60, -30, 0, 30, 60, 90]
+
+const BUCKET_LABEL = { day: 'Daylight', dawn_dusk: 'Twilight', night: 'Night' }
+
+// <input type="datetime-local"> works in local time without a zone suffix.
+export const toLocalInput = (date) => {
+  const d = new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+  return d.toISOString().slice(0, 16)
+}
+
+// timing: { kind: 'depart' | 'arrive', value: '' (now) | datetime-local string }
+export default function DeparturePlanner({ timing, setTiming, departAt, bucket, place, eta, plan }) {
+  const [scan, setScan] = useState(null) // { rows, loading }
+  const sun = place ? sunTimes(departAt, place.lat, place.lon) : null
+
+  // Switching from "now" keeps the same trip: arriving by when leaving now would arrive.
+  const switchKind = (kind) => {
+    if (timing.value) return setTiming({ ...timing, kind })
+    const at = kind === 'arrive' ? new Date(departAt.getTime() + (eta || 0) * 60000) : departAt
+    setTiming({ kind, value: toLocalInput(at) })
+  }
+
+  // Re-plans at each offset from the current departure; each row carries its own bucket.
+  const scanWindow = async () => {
+    const rows = WINDOW_OFFSETS.map(offset => ({ offset, at: new Date(departAt.getTime() + offset * 60000), data: null }))
+    setScan({ rows, loading: true })
+    await Promise.all(rows.map((row, i) => plan(row.at, `window:${row.offset}`)
+      .then(res => { rows[i] = { ...row, ...res } })
+      .catch(err => { rows[i] = { ...row, error: !isAbort(err) } })
+      .finally(() => setScan({ rows: rows.slice(), loading: true }))
+    ))
+    setScan({ rows: rows.slice(), loading: false })
+  }
+
+  const scored = scan?.rows.filter(r => r.data?.chosen) || []
+  const best = scored.reduce((b, r) => (!b || r.data.chosen.average_safety_score > b.data.chosen.average_safety_score ? r : b), null)
+  const base = scan?.rows.find(r => r.offset === 0)?.data?.chosen
+
+  return (
+    <div className="p-2 border rounded bg-white/60 space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={timing.kind} onChange={e => switchKind(e.target.value)} className="px-2 py-1 text-sm border rounded">
+          <option value="depart">Leave at</option>
+          <option value="arrive">Arrive by</option>
+        </select>
+        <input type="datetime-local" value={timing.value || toLocalInput(departAt)}
+          onChange={e => setTiming({ ...timing, value: e.target.value })} className="px-2 py-1 text-sm border rounded" />
+        <button onClick={() => setTiming({ kind: 'depart', value: '' })} className={`px-2 py-1 text-xs rounded border ${!timing.value ? 'bg-gray-900 text-white border-gray-900' : 'bg-white'}`}>Now</button>
+        <Badge color={bucket === 'day' ? 'amber' : bucket === 'night' ? 'violet' : 'slate'}>{BUCKET_LABEL[bucket]}</Badge>
+        {sun && !sun.polar && <span className="text-xs text-gray-600">Sunrise {formatClock(sun.sunrise)} · Sunset {formatClock(sun.sunset)}</span>}
+        {sun?.polar && <span className="text-xs text-gray-600">Polar {sun.polar}</span>}
+        <button onClick={scanWindow} disabled={scan?.loading} className="ml-auto px-2 py-1 text-xs rounded border disabled:opacity-50">{scan?.loading ? 'Checking…' : 'Find safest window'}</button>
+      </div>
+      {timing.kind === 'arrive' && <div className="text-xs text-gray-600">Leave by {formatClock(departAt)} to arrive on time.</div>}
+      {scan && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-600"><th className="py-1 pr-3 font-medium">Leave</th><th className="pr-3 font-medium">Light</th><th className="pr-3 font-medium">ETA</th><th className="pr-3 font-medium">Safety</th><th></th></tr>
+            </thead>
+            <tbody>
+              {scan.rows.map(r => {
+                const c = r.data?.chosen
+                const delta = c && base ? c.average_safety_score - base.average_safety_score : null
+                return (
+                  <tr key={r.offset} className={`border-t ${r === best ? 'bg-green-50' : ''}`}>
+                    <td className="py-1 pr-3">{formatClock(r.at)} <span className="text-gray-500">{r.offset === 0 ? '(current)' : `${r.offset > 0 ? '+' : ''}${r.offset} min`}</span></td>
+                    <td className="pr-3">{r.bucket ? BUCKET_LABEL[r.bucket] : ''}</td>
+                    <td className="pr-3">{c ? `${Number(c.eta_minutes).toFixed(1)} min` : r.error ? 'failed' : '…'}</td>
+                    <td className="pr-3">{c ? <>{c.average_safety_score}{delta ? <span className={delta > 0 ? 'text-green-700' : 'text-red-600'}> ({delta > 0 ? '+' : ''}{Number(delta.toFixed(1))})</span> : null}</> : ''}</td>
+                    <td>{c && r.offset !== 0 && <button onClick={() => { setTiming({ kind: 'depart', value: toLocalInput(r.at) }); setScan(null) }} className="px-2 py-0.5 rounded border">Leave then</button>}</td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,104 @@
+import { useState } from 'react'
+import { Badge } from './ui'
+import { describeError } from '../lib/api'
+import { CHANNELS, guardianId } from '../lib/guardians'
+
+const EMPTY = { name: '', phone: '', email: '', channels: ['push', 'sms'] }
+
+function ChannelPicker({ value, onChange }) {
+  const toggle = (c) => onChange(value.includes(c) ? value.filter(x => x !== c) : [...value, c])
+  return (
+    <div className="flex flex-wrap gap-1">
+      {CHANNELS.map(c => (
+        <button key={c.value} type="button" onClick={() => toggle(c.value)}
+          className={`px-2 py-0.5 rounded border text-xs ${value.includes(c.value) ? 'bg-green-600 text-white border-green-600' : 'bg-white'}`}>{c.label}</button>
+      ))}
+    </div>
+  )
+}
+
+// Add, verify, reorder and remove guardians; `store` is useGuardians().
+export default function GuardianContacts({ store }) {
+  const { guardians } = store
+  const [form, setForm] = useState(null)
+  const [codes, setCodes] = useState({})
+  const [note, setNote] = useState('')
+
+  const add = async (e) => {
+    e.preventDefault()
+    if (!form.name.trim() || (!form.phone.trim() && !form.email.trim())) return
+    try {
+      await store.add({ ...form, name: form.name.trim(), phone: form.phone.trim(), email: form.email.trim() })
+      setForm(null)
+      setNote(`We sent ${form.name.trim()} a verification code. Enter it below once they share it with you.`)
+    } catch {}
+  }
+
+  const verify = async (g) => {
+    const code = (codes[guardianId(g)] || '').trim()
+    if (!code) return
+    try {
+      await store.verify(g, code)
+      setCodes(c => ({ ...c, [guardianId(g)]: '' }))
+      setNote('')
+    } catch {}
+  }
+
+  const remove = async (g) => {
+    if (!window.confirm(`Remove ${g.name} as a guardian?`)) return
+    try { await store.remove(g) } catch {}
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="text-sm text-gray-700">Guardians <span className="text-xs text-gray-500">(alerted top to bottom)</span></div>
+        {!form && <button onClick={() => setForm(EMPTY)} className="px-2 py-1 text-xs rounded border">Add guardian</button>}
+      </div>
+      {store.error && <div className="text-xs text-red-600">{describeError(store.error)} <button onClick={store.clearError} className="underline">Dismiss</button></div>}
+      {note && <div className="text-xs text-gray-700">{note}</div>}
+
+      {form && (
+        <form onSubmit={add} className="p-2 rounded border bg-white space-y-1.5">
+          <input value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} placeholder="Name" className="w-full border rounded px-2 py-1 text-sm" />
+          <div className="grid grid-cols-2 gap-1.5">
+            <input type="tel" value={form.phone} onChange={e => setForm({ ...form, phone: e.target.value })} placeholder="Phone" className="border rounded px-2 py-1 text-sm" />
+            <input type="email" value={form.email} onChange={e => setForm({ ...form, email: e.target.value })} placeholder="Email" className="border rounded px-2 py-1 text-sm" />
+          </div>
+          <ChannelPicker value={form.channels} onChange={channels => setForm({ ...form, channels })} />
+          <div className="flex gap-2">
+            <button type="submit" disabled={!form.name.trim() || (!form.phone.trim() && !form.email.trim())} className="px-3 py-1 rounded bg-green-600 text-white text-xs disabled:opacity-50">Add & send code</button>
+            <button type="button" onClick={() => setForm(null)} className="px-3 py-1 rounded border text-xs">Cancel</button>
+          </div>
+        </form>
+      )}
+
+      <ol className="space-y-1">
+        {guardians.map((g, i) => (
+          <li key={guardianId(g)} className="p-2 rounded border bg-white space-y-1">
+            <div className="flex items-center gap-2">
+              <span className="text-xs text-gray-500 w-4">{i + 1}.</span>
+              <div className="flex-1 min-w-0">
+                <div className="text-sm font-medium truncate">{g.name}</div>
+                <div className="text-xs text-gray-500 truncate">{[g.phone, g.email].filter(Boolean).join(' · ')}</div>
+              </div>
+              {g.verified ? <Badge color="green">Verified</Badge> : <Badge color="amber">Unverified</Badge>}
+              <button onClick={() => store.move(i, -1)} disabled={i === 0} title="Alert earlier" className="px-1.5 py-0.5 rounded border text-xs disabled:opacity-30">↑</button>
+              <button onClick={() => store.move(i, 1)} disabled={i === guardians.length - 1} title="Alert later" className="px-1.5 py-0.5 rounded border text-xs disabled:opacity-30">↓</button>
+              <button onClick={() => remove(g)} className="px-1.5 py-0.5 rounded border text-xs text-red-600">Remove</button>
+            </div>
+            <ChannelPicker value={g.channels || []} onChange={channels => store.setChannels(g, channels)} />
+            {!g.verified && (
+              <div className="flex gap-1.5">
+                <input value={codes[guardianId(g)] || ''} onChange={e => setCodes(c => ({ ...c, [guardianId(g)]: e.target.value }))} placeholder="Code" inputMode="numeric" className="w-24 border rounded px-2 py-0.5 text-xs" />
+                <button onClick={() => verify(g)} className="px-2 py-0.5 rounded border text-xs">Verify</button>
+                <button onClick={() => store.resend(g).then(() => setNote(`Code re-sent to ${g.name}.`)).catch(() => {})} className="px-2 py-0.5 rounded border text-xs">Resend</button>
+              </div>
+            )}
+          </li>
+        ))}
+        {!guardians.length && !form && <li className="text-xs text-gray-500">No guardians yet. Add someone you trust to receive alerts.</li>}
+      </ol>
+    </div>
+  )
+}
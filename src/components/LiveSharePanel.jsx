@@ -0,0 +1,83 @@
+import { useState } from 'react'
+import { Badge } from './ui'
+import { describeError } from '../lib/api'
+import { SHARE_DURATIONS } from '../lib/liveShare'
+
+const clock = (iso) => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+
+// Start, hand out and end a live location share; `live` is useLiveShare().
+export default function LiveSharePanel({ live, hasRoute }) {
+  const [minutes, setMinutes] = useState(60)
+  const [note, setNote] = useState('')
+  const [error, setError] = useState('')
+  const { session, url } = live
+
+  const start = async () => {
+    setNote('')
+    try {
+      await live.start(minutes)
+    } catch {}
+  }
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(url)
+      setNote('Link copied')
+    } catch {
+      setNote('Copy the link above')
+    }
+  }
+
+  const shareLink = async () => {
+    try {
+      await navigator.share({ title: 'My live location', text: 'Follow my trip on SafeRoutes', url })
+    } catch {}
+  }
+
+  const end = async (kind) => {
+    if (kind === 'revoked' && !window.confirm('Stop sharing? The link will stop working.')) return
+    setError('')
+    try {
+      await (kind === 'arrived' ? live.arrived() : live.revoke())
+      setNote(kind === 'arrived' ? 'Marked as arrived safely. Viewers were told.' : 'Sharing stopped.')
+    } catch (err) {
+      setError(`Still sharing: ${describeError(err)}. Try again.`)
+    }
+  }
+
+  if (!session) {
+    return (
+      <div className="space-y-2">
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={minutes} onChange={e => setMinutes(Number(e.target.value))} className="px-2 py-1.5 text-sm border rounded">
+            {SHARE_DURATIONS.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+          </select>
+          <button onClick={start} disabled={live.loading} className="px-3 py-1.5 rounded bg-blue-600 text-white text-sm disabled:opacity-50">Start sharing</button>
+        </div>
+        <div className="text-xs text-gray-600">{hasRoute ? 'Viewers will see your position, the planned route and your ETA.' : 'Start navigation first to include your route and ETA.'}</div>
+        {live.error && <div className="text-xs text-red-600">{describeError(live.error)}</div>}
+        {note && <div className="text-xs text-gray-700">{note}</div>}
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <Badge color="green">Sharing live</Badge>
+        <span className="text-xs text-gray-600">until {clock(session.expires_at)}</span>
+      </div>
+      <div className="flex gap-2">
+        <input readOnly value={url} onFocus={e => e.target.select()} className="flex-1 border rounded px-2 py-1 text-xs" />
+        <button onClick={copy} className="px-2 py-1 rounded border text-xs">Copy</button>
+        {navigator.share && <button onClick={shareLink} className="px-2 py-1 rounded border text-xs">Share…</button>}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <button onClick={() => end('arrived')} className="px-3 py-1.5 rounded bg-green-600 text-white text-sm">Arrived safely</button>
+        <button onClick={() => end('revoked')} className="px-3 py-1.5 rounded border text-sm text-red-600">Stop sharing</button>
+      </div>
+      {(error || live.error) && <div className="text-xs text-red-600">{error || describeError(live.error)}</div>}
+      {note && <div className="text-xs text-gray-700">{note}</div>}
+    </div>
+  )
+}
@@ -1,7 +1,8 @@
 import { useEffect, useMemo, useRef, useState } from 'react'
-import { MapContainer, TileLayer, Marker, Polyline, useMapEvents } from 'react-leaflet'
+import { MapContainer, TileLayer, Marker, Polyline, useMap, useMapEvents } from 'react-leaflet'
 import L from 'leaflet'
 import 'leaflet/dist/leaflet.css'
+import MapTiles from './MapTiles'
 
 const presets = [
   { label: 'Central Park, NYC', start: { lat: 40.7812, lon: -73.9665 }, end: { lat: 40.758, lon: -73.9855 } },
@@ -19,11 +20,14 @@ const DefaultIcon = L.icon({
 })
 L.Marker.prototype.options.icon = DefaultIcon
 
-function ClickSelector({ start, setStart, end, setEnd, selecting, setSelecting }) {
+function ClickSelector({ setStart, setEnd, onPick, selecting, setSelecting }) {
   useMapEvents({
     click(e) {
       const { lat, lng } = e.latlng
-      if (selecting === 'start') {
+      if (selecting === 'point') {
+        onPick({ lat, lon: lng })
+        setSelecting(null)
+      } else if (selecting === 'start') {
         setStart({ lat, lon: lng })
         setSelecting('end')
       } else if (selecting === 'end') {
@@ -35,7 +39,57 @@ function ClickSelector({ start, setStart, end, setEnd, selecting, setSelecting }
   return null
 }
 
-export default function LocationPicker({ start, setStart, end, setEnd }) {
+function Recenter({ value }) {
+  const map = useMap()
+  useEffect(() => {
+    if (value) map.panTo([value.lat, value.lon])
+  }, [value?.lat, value?.lon])
+  return null
+}
+
+// Single-point variant (used for report locations): arm a selection mode with a
+// button, then the next map click sets the point; the marker can be dragged.
+// `onUseMyLocation` lets the caller fall back to the device fix, with its
+// accuracy and timestamp, instead of a map-picked copy of it.
+function PointPicker({ value, onChange, myPosition, onUseMyLocation }) {
+  const [selecting, setSelecting] = useState(null)
+  const center = value || myPosition || { lat: 28.6139, lon: 77.209 }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <button onClick={() => setSelecting(selecting ? null : 'point')} className={`px-2 py-1 rounded text-xs border ${selecting ? 'bg-blue-600 text-white' : 'bg-white'}`}>
+          {selecting ? 'Click the map…' : 'Pick on map'}
+        </button>
+        {onUseMyLocation && (
+          <button onClick={onUseMyLocation} disabled={!myPosition} className="px-2 py-1 rounded text-xs border bg-white disabled:opacity-50">
+            Use my location
+          </button>
+        )}
+        <span className="text-xs text-gray-600">{value ? `${value.lat.toFixed(5)}, ${value.lon.toFixed(5)}` : 'No location chosen'}</span>
+      </div>
+      <div className={`h-48 w-full rounded-lg overflow-hidden border ${selecting ? 'ring-2 ring-blue-500' : ''}`}>
+        <MapContainer center={[center.lat, center.lon]} zoom={16} style={{ height: '100%', width: '100%', cursor: selecting ? 'crosshair' : '' }}>
+          <MapTiles />
+          <ClickSelector selecting={selecting} setSelecting={setSelecting} onPick={onChange} />
+          <Recenter value={value} />
+          {value && (
+            <Marker position={[value.lat, value.lon]} draggable
+              eventHandlers={{ dragend: (e) => { const ll = e.target.getLatLng(); onChange({ lat: ll.lat, lon: ll.lng }) } }} />
+          )}
+        </MapContainer>
+      </div>
+    </div>
+  )
+}
+
+// Picks a start and end, or a single point when given `value`/`onChange`.
+export default function LocationPicker({ start, setStart, end, setEnd, ...point }) {
+  if (point.onChange) return <PointPicker {...point} />
+  return <RoutePointsPicker start={start} setStart={setStart} end={end} setEnd={setEnd} />
+}
+
+function RoutePointsPicker({ start, setStart, end, setEnd }) {
   const [presetIdx, setPresetIdx] = useState('')
   const [selecting, setSelecting] = useState(null) // 'start' | 'end' | null
 
@@ -94,7 +148,7 @@ export default function LocationPicker({ start, setStart, end, setEnd }) {
             attribution='&copy; OpenStreetMap contributors'
             url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
           />
-          <ClickSelector start={start} setStart={setStart} end={end} setEnd={setEnd} selecting={selecting} setSelecting={setSelecting} />
+          <ClickSelector setStart={setStart} setEnd={setEnd} selecting={selecting} setSelecting={setSelecting} />
           <Marker position={[start.lat, start.lon]} />
           <Marker position={[end.lat, end.lon]} />
           <Polyline positions={[[start.lat, start.lon], [end.lat, end.lon]]} color="#2563eb" />
@@ -0,0 +1,18 @@
+import { TileLayer } from 'react-leaflet'
+import { usePreferences } from '../lib/preferences'
+
+const LIGHT = {
+  url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  attribution: '&copy; OpenStreetMap contributors',
+}
+const DARK = {
+  url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+  attribution: '&copy; OpenStreetMap contributors &copy; CARTO',
+}
+
+// Base map that follows NightShield. The key forces Leaflet to swap layers.
+export default function MapTiles() {
+  const { night } = usePreferences()
+  const tiles = night ? DARK : LIGHT
+  return <TileLayer key={tiles.url} url={tiles.url} attribution={tiles.attribution} />
+}
@@ -0,0 +1,57 @@
+import { useEffect } from 'react'
+import { useMap } from 'react-leaflet'
+import { Badge } from './ui'
+import { formatDistance } from '../lib/geo'
+import { usePreferences } from '../lib/preferences'
+
+// Keeps the map centred on the user while navigating.
+export function FollowPosition({ position, enabled }) {
+  const map = useMap()
+  const { saver } = usePreferences()
+  useEffect(() => {
+    if (enabled && position) map.panTo([position.lat, position.lon], { animate: !saver })
+  }, [enabled, position?.lat, position?.lon])
+  return null
+}
+
+const arrival = (minutes) => new Date(Date.now() + minutes * 60000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+
+export default function NavigationPanel({ progress, replanning, arrived, hasFix, onStop, onLogTrip, logStatus }) {
+  if (arrived) {
+    return (
+      <div className="p-3 rounded border border-green-200 bg-green-50 flex flex-wrap items-center gap-3">
+        <div className="text-sm font-medium text-green-800">You have arrived.</div>
+        <button onClick={onLogTrip} className="px-3 py-1.5 rounded bg-green-600 text-white text-sm">Log this trip</button>
+        <button onClick={onStop} className="px-3 py-1.5 rounded border text-sm bg-white">Close</button>
+        {logStatus && <div className="text-xs text-green-700">{logStatus}</div>}
+      </div>
+    )
+  }
+
+  return (
+    <div className="p-3 rounded border border-blue-200 bg-blue-50 space-y-2">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="text-sm font-semibold text-blue-900">
+          {!hasFix ? 'Waiting for GPS…'
+            : progress?.next_turn ? `In ${formatDistance(progress.next_turn.in_m)}, ${progress.next_turn.type}`
+            : 'Continue to destination'}
+        </div>
+        {progress?.off_route && <Badge color="amber">Off route by {formatDistance(progress.off_route_m)}</Badge>}
+        {replanning && <Badge color="violet">Re-planning…</Badge>}
+        <button onClick={onStop} className="ml-auto px-3 py-1.5 rounded border text-sm bg-white">End navigation</button>
+      </div>
+      {progress && (
+        <>
+          <div className="h-2 rounded bg-blue-100 overflow-hidden">
+            <div className="h-full bg-blue-600 transition-all" style={{ width: `${Math.round(progress.fraction * 100)}%` }}></div>
+          </div>
+          <div className="flex flex-wrap gap-4 text-xs text-blue-900">
+            <span>{Math.round(progress.fraction * 100)}% done</span>
+            <span>{formatDistance(progress.remaining_m)} left</span>
+            <span>ETA {progress.eta_minutes.toFixed(1)} min · arrive {arrival(progress.eta_minutes)}</span>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,127 @@
+import { useRef, useState } from 'react'
+import { PROFILE_WEIGHTS, newProfile, profileMode, exportProfiles, parseProfiles } from '../lib/profiles'
+import { describeError } from '../lib/api'
+import { download } from '../lib/files'
+
+const slug = (s) => s.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile'
+
+function WeightSlider({ label, value, onChange }) {
+  return (
+    <label className="grid grid-cols-[9rem_1fr_2.5rem] items-center gap-2 text-xs">
+      <span className="text-gray-700">{label}</span>
+      <input type="range" min="0" max="1" step="0.05" value={value} onChange={e => onChange(Number(e.target.value))} />
+      <span className="text-right tabular-nums text-gray-600">{Math.round(value * 100)}%</span>
+    </label>
+  )
+}
+
+// Create, edit, delete, import and export the user's routing profiles.
+// `onUse` selects a profile as the planner's mode.
+export default function ProfileManager({ store, mode, onUse, onClose }) {
+  const { profiles, save, remove, importMany, loading, error, clearError } = store
+  const [draft, setDraft] = useState(null)
+  const [status, setStatus] = useState('')
+  const fileRef = useRef(null)
+
+  const setWeight = (key, v) => setDraft(d => ({ ...d, weights: { ...d.weights, [key]: v } }))
+
+  const saveDraft = async () => {
+    setStatus('')
+    try {
+      const saved = await save(draft)
+      setDraft(null)
+      onUse(profileMode(saved))
+    } catch (err) {
+      setStatus(err.kind ? describeError(err) : err.message)
+    }
+  }
+
+  const deleteProfile = async (p) => {
+    if (!window.confirm(`Delete profile "${p.name}"?`)) return
+    try {
+      await remove(p.id)
+      if (mode === profileMode(p)) onUse('balanced')
+    } catch {
+      // surfaced through store.error
+    }
+  }
+
+  const importText = async (text) => {
+    setStatus('')
+    let list
+    try {
+      list = parseProfiles(text)
+    } catch (err) {
+      setStatus(`Import failed: ${err.message}`)
+      return
+    }
+    try {
+      const saved = await importMany(list)
+      setStatus(`Imported ${saved.length} profile${saved.length > 1 ? 's' : ''}`)
+    } catch {
+      // surfaced through store.error
+    }
+  }
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (file) importText(await file.text())
+  }
+
+  const share = async (p) => {
+    const text = exportProfiles([p])
+    try {
+      await navigator.clipboard.writeText(text)
+      setStatus(`Copied "${p.name}" to the clipboard`)
+    } catch {
+      download(`${slug(p.name)}.json`, text, 'application/json')
+    }
+  }
+
+  return (
+    <div className="p-2 border rounded bg-white/60 space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="text-xs text-gray-700">My routing profiles {loading && <span className="animate-pulse">· …</span>}</div>
+        <div className="ml-auto flex gap-2">
+          <button onClick={() => setDraft(newProfile())} className="px-2 py-0.5 text-xs rounded border">New</button>
+          <button onClick={() => fileRef.current?.click()} className="px-2 py-0.5 text-xs rounded border">Import</button>
+          <button onClick={() => { const t = window.prompt('Paste a shared profile (JSON)'); if (t) importText(t) }} className="px-2 py-0.5 text-xs rounded border">Paste</button>
+          <button onClick={() => download('saferoutes-profiles.json', exportProfiles(profiles), 'application/json')} disabled={!profiles.length} className="px-2 py-0.5 text-xs rounded border disabled:opacity-50">Export all</button>
+          <button onClick={onClose} className="px-2 py-0.5 text-xs rounded border">Close</button>
+        </div>
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={onFile} className="hidden" />
+      </div>
+      {error && (
+        <div className="text-xs text-red-600 flex gap-2">{describeError(error)}<button onClick={clearError} className="underline">Dismiss</button></div>
+      )}
+      {status && <div className="text-xs text-gray-700">{status}</div>}
+
+      {draft && (
+        <div className="p-2 rounded border bg-white space-y-1.5">
+          <input value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} placeholder="Profile name" className="w-full border rounded px-2 py-1 text-sm" />
+          {PROFILE_WEIGHTS.map(w => (
+            <WeightSlider key={w.key} label={w.label} value={draft.weights[w.key]} onChange={v => setWeight(w.key, v)} />
+          ))}
+          <div className="flex gap-2 pt-1">
+            <button onClick={saveDraft} disabled={!draft.name.trim()} className="px-3 py-1 rounded bg-blue-600 text-white text-xs disabled:opacity-50">Save & use</button>
+            <button onClick={() => setDraft(null)} className="px-3 py-1 rounded border text-xs">Cancel</button>
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-1">
+        {profiles.map(p => (
+          <div key={p.id} className={`flex items-center gap-2 p-1.5 rounded border bg-white text-sm ${mode === profileMode(p) ? 'border-orange-500' : ''}`}>
+            <button onClick={() => onUse(profileMode(p))} className="flex-1 text-left truncate">{p.name}</button>
+            <span className="text-xs text-gray-500 hidden sm:inline">{PROFILE_WEIGHTS.map(w => `${w.label.split(' ').pop()} ${Math.round(p.weights[w.key] * 100)}`).join(' · ')}</span>
+            <button onClick={() => setDraft({ ...p, weights: { ...p.weights } })} className="px-2 py-0.5 text-xs rounded border">Edit</button>
+            <button onClick={() => share(p)} className="px-2 py-0.5 text-xs rounded border">Share</button>
+            <button onClick={() => deleteProfile(p)} className="px-2 py-0.5 text-xs rounded border text-red-600">Delete</button>
+          </div>
+        ))}
+        {!profiles.length && !draft && <div className="text-xs text-gray-500">No profiles yet. Create one to weigh lighting, crowds, incidents, main roads and detours your way.</div>}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,154 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { CircleMarker, Marker, Popup, useMap, useMapEvents } from 'react-leaflet'
+import L from 'leaflet'
+import { useBackend, describeError } from '../lib/api'
+import { REPORT_CATEGORIES, REPORT_AGES, categoryOf, clusterReports, reportId, reportsQuery, timeAgo } from '../lib/reports'
+
+// Zoom level from which every report is drawn individually.
+const CLUSTER_BELOW_ZOOM = 16
+
+const clusterIcon = (count) => L.divIcon({
+  html: `<div style="background:#1d4ed8;color:#fff;border:2px solid #fff;border-radius:9999px;width:32px;height:32px;display:flex;align-items:center;justify-content:center;font-size:12px;font-weight:600;box-shadow:0 1px 3px rgba(0,0,0,.4)">${count}</div>`,
+  className: '',
+  iconSize: [32, 32],
+  iconAnchor: [16, 16],
+})
+
+export const FLAG_REASONS = [
+  { value: 'spam', label: 'Spam or advertising' },
+  { value: 'abusive', label: 'Abusive or hateful' },
+  { value: 'false', label: 'False or misleading' },
+  { value: 'personal_info', label: 'Shares personal information' },
+]
+
+function ReportPopup({ report }) {
+  const cat = categoryOf(report.category)
+  const id = reportId(report)
+  const { post, loading, error } = useBackend()
+  const [votes, setVotes] = useState({ up: report.upvotes ?? 0, down: report.downvotes ?? 0, mine: report.my_vote ?? 0 })
+  const [gone, setGone] = useState(report.not_valid_count ?? 0)
+  const [flagging, setFlagging] = useState(false)
+  const [reason, setReason] = useState(FLAG_REASONS[0].value)
+  const [note, setNote] = useState('')
+
+  const vote = async (value) => {
+    // Voting the same way again withdraws the vote.
+    const next = votes.mine === value ? 0 : value
+    try {
+      const res = await post(`/api/reports/${id}/vote`, { value: next })
+      setVotes({ up: res?.upvotes ?? votes.up, down: res?.downvotes ?? votes.down, mine: next })
+    } catch {}
+  }
+  const confirmGone = async () => {
+    try {
+      const res = await post(`/api/reports/${id}/confirm`, { still_valid: false })
+      setGone(res?.not_valid_count ?? gone + 1)
+      setNote('Thanks, we will re-check this spot.')
+    } catch {}
+  }
+  const flag = async () => {
+    try {
+      await post(`/api/reports/${id}/flag`, { reason })
+      setFlagging(false)
+      setNote('Reported to moderators.')
+    } catch {}
+  }
+
+  return (
+    <div className="text-xs space-y-1 min-w-[12rem]">
+      <div className="font-semibold" style={{ color: cat.color }}>{cat.label}</div>
+      {report.description && <div className="text-gray-800">{report.description}</div>}
+      {!!report.photos?.length && (
+        <div className="flex gap-1">
+          {report.photos.map((src, i) => <img key={i} src={src.url || src} alt="" className="h-12 w-12 object-cover rounded" />)}
+        </div>
+      )}
+      <div className="text-gray-500">{timeAgo(report.created_at)}{gone > 0 ? ` · ${gone} say no longer valid` : ''}</div>
+      <div className="flex items-center gap-1 pt-1">
+        <button onClick={() => vote(1)} disabled={loading} className={`px-1.5 py-0.5 rounded border ${votes.mine === 1 ? 'bg-green-600 text-white border-green-600' : 'bg-white'}`} aria-label="Upvote">▲ {votes.up}</button>
+        <button onClick={() => vote(-1)} disabled={loading} className={`px-1.5 py-0.5 rounded border ${votes.mine === -1 ? 'bg-red-600 text-white border-red-600' : 'bg-white'}`} aria-label="Downvote">▼ {votes.down}</button>
+        <button onClick={confirmGone} disabled={loading} className="px-1.5 py-0.5 rounded border bg-white">No longer valid</button>
+        <button onClick={() => setFlagging(!flagging)} className="px-1.5 py-0.5 rounded border bg-white text-red-600">Flag</button>
+      </div>
+      {flagging && (
+        <div className="flex gap-1 pt-1">
+          <select value={reason} onChange={e => setReason(e.target.value)} className="flex-1 border rounded px-1 py-0.5">
+            {FLAG_REASONS.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+          </select>
+          <button onClick={flag} disabled={loading} className="px-1.5 py-0.5 rounded bg-red-600 text-white">Send</button>
+        </div>
+      )}
+      {note && <div className="text-green-700">{note}</div>}
+      {error && <div className="text-red-600">{describeError(error)}</div>}
+    </div>
+  )
+}
+
+// Loads reports for the visible bounds and draws them, clustered when zoomed out.
+export default function ReportsLayer({ categories, maxAgeHours }) {
+  const map = useMap()
+  const { get } = useBackend()
+  const [view, setView] = useState(() => ({ bounds: map.getBounds(), zoom: map.getZoom() }))
+  const [reports, setReports] = useState([])
+  const debounce = useRef(null)
+
+  useMapEvents({
+    moveend() {
+      clearTimeout(debounce.current)
+      debounce.current = setTimeout(() => setView({ bounds: map.getBounds(), zoom: map.getZoom() }), 300)
+    },
+  })
+  useEffect(() => () => clearTimeout(debounce.current), [])
+
+  useEffect(() => {
+    const b = view.bounds
+    const path = reportsQuery({ south: b.getSouth(), west: b.getWest(), north: b.getNorth(), east: b.getEast() }, { categories, maxAgeHours })
+    get(path, { key: 'reports' })
+      .then(res => setReports(res?.reports || []))
+      .catch(() => {})
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [view, categories, maxAgeHours])
+
+  const visible = useMemo(() => reports.filter(r => categories.includes(r.category || 'other')), [reports, categories])
+
+  const clusters = useMemo(() => {
+    if (view.zoom >= CLUSTER_BELOW_ZOOM) return visible.filter(r => r.location).map(r => ({ key: reportId(r), reports: [r], lat: r.location.lat, lon: r.location.lon }))
+    return clusterReports(visible, (ll) => map.project([ll.lat, ll.lon], view.zoom))
+  }, [visible, view, map])
+
+  return clusters.map(c => c.reports.length === 1 ? (
+    <CircleMarker key={c.key} center={[c.lat, c.lon]} radius={7}
+      pathOptions={{ color: '#fff', weight: 2, fillColor: categoryOf(c.reports[0].category).color, fillOpacity: 0.9 }}>
+      <Popup><ReportPopup report={c.reports[0]} /></Popup>
+    </CircleMarker>
+  ) : (
+    <Marker key={c.key} position={[c.lat, c.lon]} icon={clusterIcon(c.reports.length)}
+      eventHandlers={{ click: () => map.flyTo([c.lat, c.lon], Math.min(view.zoom + 2, CLUSTER_BELOW_ZOOM)) }} />
+  ))
+}
+
+export function ReportFilters({ enabled, setEnabled, categories, setCategories, maxAgeHours, setMaxAgeHours }) {
+  const toggle = (value) => setCategories(categories.includes(value) ? categories.filter(c => c !== value) : [...categories, value])
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs">
+      <label className="flex items-center gap-1 font-medium">
+        <input type="checkbox" checked={enabled} onChange={e => setEnabled(e.target.checked)} />
+        Community reports
+      </label>
+      {enabled && (
+        <>
+          {REPORT_CATEGORIES.map(c => (
+            <button key={c.value} onClick={() => toggle(c.value)}
+              className={`px-2 py-0.5 rounded-full border ${categories.includes(c.value) ? 'text-white' : 'bg-white text-gray-600'}`}
+              style={categories.includes(c.value) ? { background: c.color, borderColor: c.color } : undefined}>
+              {c.label}
+            </button>
+          ))}
+          <select value={maxAgeHours} onChange={e => setMaxAgeHours(Number(e.target.value))} className="px-2 py-0.5 border rounded">
+            {REPORT_AGES.map(a => <option key={a.value} value={a.value}>{a.label}</option>)}
+          </select>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,107 @@
+import { useMemo, useState } from 'react'
+import { Polyline, Tooltip } from 'react-leaflet'
+import { Badge } from './ui'
+import { modeOf } from '../lib/modes'
+import { describeError } from '../lib/api'
+
+// Adds distance_km and the trade-off against the fastest option: safety points
+// gained per extra minute of travel.
+export function comparisonRows(results) {
+  const ok = results.filter(r => r.route)
+  const fastest = ok.reduce((best, r) => (!best || r.route.eta_minutes < best.route.eta_minutes ? r : best), null)
+  return results.map(r => {
+    if (!r.route) return { ...r, eta: null, distance_km: null, safety: null, tradeoff: null }
+    const eta = r.route.eta_minutes
+    const safety = r.route.average_safety_score
+    const extra = fastest ? eta - fastest.route.eta_minutes : 0
+    return {
+      ...r,
+      eta,
+      distance_km: r.route.distance_m / 1000,
+      safety,
+      tradeoff: fastest && r !== fastest && extra > 0.05 ? (safety - fastest.route.average_safety_score) / extra : null,
+    }
+  })
+}
+
+const COLUMNS = [
+  { key: 'mode', label: 'Mode' },
+  { key: 'eta', label: 'ETA (min)' },
+  { key: 'distance_km', label: 'Distance (km)' },
+  { key: 'safety', label: 'Safety' },
+  { key: 'tradeoff', label: 'Safety / extra min' },
+]
+
+export function ComparisonOverlay({ rows, selected }) {
+  return rows.filter(r => r.route).map(r => {
+    const m = modeOf(r.mode)
+    return (
+      <Polyline key={r.mode} positions={r.route.geometry?.coordinates || []}
+        pathOptions={{ color: m.color, weight: r.mode === selected ? 7 : 4, opacity: r.mode === selected ? 0.95 : 0.6 }}>
+        <Tooltip sticky><span className="text-xs">{m.label} · {r.eta.toFixed(1)} min · safety {r.safety}</span></Tooltip>
+      </Polyline>
+    )
+  })
+}
+
+export default function RouteComparison({ rows, loading, selected, onAdopt, onClose }) {
+  const [sort, setSort] = useState({ key: 'safety', dir: -1 })
+
+  const sorted = useMemo(() => rows.slice().sort((a, b) => {
+    const av = a[sort.key], bv = b[sort.key]
+    // Failed or not-applicable rows always go last.
+    if (av == null) return bv == null ? 0 : 1
+    if (bv == null) return -1
+    return (av < bv ? -1 : av > bv ? 1 : 0) * sort.dir
+  }), [rows, sort])
+
+  const sortBy = (key) => setSort(s => (s.key === key ? { key, dir: -s.dir } : { key, dir: key === 'safety' || key === 'tradeoff' ? -1 : 1 }))
+
+  return (
+    <div className="p-2 border rounded bg-white/60">
+      <div className="flex items-center justify-between mb-1">
+        <div className="text-xs text-gray-700">Compare all modes {loading && <span className="animate-pulse">· planning…</span>}</div>
+        <button onClick={onClose} className="px-2 py-0.5 text-xs rounded border">Close</button>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-600">
+              {COLUMNS.map(c => (
+                <th key={c.key} className="py-1 pr-3 font-medium">
+                  <button onClick={() => sortBy(c.key)} className="hover:underline">
+                    {c.label}{sort.key === c.key ? (sort.dir > 0 ? ' ↑' : ' ↓') : ''}
+                  </button>
+                </th>
+              ))}
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map(r => {
+              const m = modeOf(r.mode)
+              return (
+                <tr key={r.mode} className={`border-t ${r.mode === selected ? 'bg-blue-50' : ''}`}>
+                  <td className="py-1 pr-3">
+                    <span className="inline-flex items-center gap-1.5"><span className="inline-block w-3 h-1.5 rounded" style={{ background: m.color }}></span>{m.label}</span>
+                  </td>
+                  {r.route ? (
+                    <>
+                      <td className="py-1 pr-3">{r.eta.toFixed(1)}</td>
+                      <td className="py-1 pr-3">{r.distance_km.toFixed(2)}</td>
+                      <td className="py-1 pr-3"><Badge color={r.safety>=75?'green':r.safety>=60?'amber':'red'}>{r.safety}</Badge></td>
+                      <td className="py-1 pr-3">{r.tradeoff == null ? '—' : `${r.tradeoff > 0 ? '+' : ''}${r.tradeoff.toFixed(1)}`}</td>
+                      <td className="py-1"><button onClick={() => onAdopt(r)} className="px-2 py-0.5 text-xs rounded border">{r.mode === selected ? 'Chosen' : 'Use'}</button></td>
+                    </>
+                  ) : (
+                    <td colSpan={5} className="py-1 text-xs text-gray-500">{r.error ? describeError(r.error) : 'Planning…'}</td>
+                  )}
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
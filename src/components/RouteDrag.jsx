@@ -0,0 +1,43 @@
+import { useEffect, useState } from 'react'
+import { CircleMarker, useMap } from 'react-leaflet'
+
+// Lets the user grab the chosen route and drop it elsewhere to force a via
+// point. Start a drag by calling the returned `grab(latlng)` from the route's
+// pointerdown; `onDrop({ lat, lon }, grabbed)` fires on release. Pointer events
+// make this work with a finger as well as a mouse.
+export function useRouteDrag(onDrop) {
+  const [grab, setGrab] = useState(null)
+  return {
+    grab: (latlng) => setGrab({ lat: latlng.lat, lon: latlng.lng }),
+    layer: grab && <RouteDragGhost from={grab} onDone={(to) => { setGrab(null); if (to) onDrop(to, grab) }} />,
+  }
+}
+
+function RouteDragGhost({ from, onDone }) {
+  const map = useMap()
+  const [pos, setPos] = useState(from)
+
+  useEffect(() => {
+    let last = null
+    map.dragging.disable()
+    const move = (e) => {
+      const ll = map.mouseEventToLatLng(e)
+      last = { lat: ll.lat, lon: ll.lng }
+      setPos(last)
+    }
+    // A release without movement is a click, not a drag.
+    const up = () => onDone(last)
+    // On the document so moving off the map or lifting the finger outside it still ends the drag.
+    document.addEventListener('pointermove', move)
+    document.addEventListener('pointerup', up)
+    document.addEventListener('pointercancel', up)
+    return () => {
+      document.removeEventListener('pointermove', move)
+      document.removeEventListener('pointerup', up)
+      document.removeEventListener('pointercancel', up)
+      map.dragging.enable()
+    }
+  }, [map])
+
+  return <CircleMarker center={[pos.lat, pos.lon]} radius={8} interactive={false} pathOptions={{ color: '#fff', weight: 2, fillColor: '#7c3aed', fillOpacity: 1 }} />
+}
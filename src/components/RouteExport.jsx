@@ -0,0 +1,71 @@
+import { useEffect, useRef, useState } from 'react'
+import { Polyline, useMap } from 'react-leaflet'
+import { Badge } from './ui'
+import { SafetyRoute } from './SafetyRoute'
+import { download } from '../lib/files'
+import { EXPORT_FORMATS, parseTrackFile } from '../lib/routeExport'
+
+// GPX / GeoJSON / CSV download buttons; `records()` builds the export records on click.
+export function ExportButtons({ records, filename, name, disabled, className = 'px-2 py-1 text-xs rounded border' }) {
+  return EXPORT_FORMATS.map(f => (
+    <button key={f.value} disabled={disabled} className={`${className} disabled:opacity-50`}
+      onClick={() => download(`${filename}.${f.ext}`, f.write(records(), name), f.type)}>{f.label}</button>
+  ))
+}
+
+// Draws an imported track: safety-coloured once scored, dashed grey until then.
+// Zooms to it once when a new track is loaded.
+export function ImportedTrackLayer({ track }) {
+  const map = useMap()
+  useEffect(() => {
+    if (track?.record.points.length) map.fitBounds(track.record.points.map(p => [p.lat, p.lon]), { padding: [30, 30] })
+  }, [track?.record])
+  if (!track) return null
+  if (track.route) return <SafetyRoute route={track.route} />
+  return <Polyline positions={track.record.points.map(p => [p.lat, p.lon])} pathOptions={{ color: '#64748b', weight: 4, dashArray: '6 6' }} />
+}
+
+// File picker plus a summary card for the imported track. `onImport(records)`
+// is called with every line in the file; `track` is the one shown on the map.
+export default function TrackImport({ track, onImport, onScore, onClear }) {
+  const fileRef = useRef(null)
+  const [note, setNote] = useState('')
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const records = parseTrackFile(await file.text())
+      setNote(records.length > 1 ? `File has ${records.length} tracks, showing the first` : '')
+      onImport(records)
+    } catch (err) {
+      setNote(`Import failed: ${err.message}`)
+    }
+  }
+
+  const score = track?.route?.average_safety_score
+  return (
+    <div className="p-2 border rounded bg-white/60">
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-xs text-gray-600">Imported track (GPX or GeoJSON)</div>
+        <div className="flex gap-1.5">
+          <button onClick={() => fileRef.current?.click()} className="px-2 py-1 text-xs rounded border">Import</button>
+          {track && <button onClick={onClear} className="px-2 py-1 text-xs rounded border">Clear</button>}
+        </div>
+        <input ref={fileRef} type="file" accept=".gpx,.geojson,.json,application/gpx+xml,application/geo+json,application/json" onChange={onFile} className="hidden" />
+      </div>
+      {note && <div className="mt-1 text-xs text-gray-700">{note}</div>}
+      {track && (
+        <div className="mt-1.5 flex flex-wrap items-center gap-1.5 text-xs">
+          <span className="font-medium">{track.record.name}</span>
+          <Badge color="gray">{track.record.points.length} points</Badge>
+          {track.scoring && <span className="text-gray-500 animate-pulse">Scoring…</span>}
+          {score != null && <Badge color={score>=75?'green':score>=60?'amber':'red'}>Safety {score}</Badge>}
+          {track.route?.distance_m != null && <Badge color="blue">{(track.route.distance_m / 1000).toFixed(2)} km</Badge>}
+          {track.error && <><span className="text-red-600">Could not score: {track.error}</span><button onClick={onScore} className="underline">Retry</button></>}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,57 @@
+import { useEffect, useMemo, useRef } from 'react'
+import { Polyline, Tooltip, useMap } from 'react-leaflet'
+import L from 'leaflet'
+import { routeSegments, SAFETY_LEVELS, UNKNOWN_LEVEL } from '../lib/segments'
+
+// Draws a route coloured by per-segment safety. Alternatives are drawn thinner
+// and faded; clicking any part calls onSelect, pressing on it calls onGrab.
+export function SafetyRoute({ route, chosen = false, onSelect, onGrab }) {
+  const map = useMap()
+  const runs = useMemo(() => routeSegments(route), [route])
+  const layers = useRef([])
+  const handlers = onSelect ? { click: () => onSelect(route) } : {}
+
+  // Leaflet only reports mouse events on paths, so grabbing listens for DOM
+  // pointer events, which cover touch and pen as well as the mouse.
+  useEffect(() => {
+    if (!onGrab) return
+    const down = (e) => {
+      if (e.button > 0) return
+      // Stop the map from panning before it starts, so the press drags the route instead.
+      L.DomEvent.stopPropagation(e)
+      map.dragging.disable()
+      onGrab(map.mouseEventToLatLng(e))
+    }
+    const els = layers.current.map(l => l?.getElement()).filter(Boolean)
+    els.forEach(el => el.addEventListener('pointerdown', down))
+    return () => els.forEach(el => el.removeEventListener('pointerdown', down))
+  }, [runs, onGrab, map])
+
+  return runs.map((run, i) => (
+    <Polyline key={i} ref={(l) => { layers.current[i] = l }} positions={run.positions}
+      pathOptions={{ color: run.level.color, weight: chosen ? 7 : 4, opacity: chosen ? 0.95 : 0.45, dashArray: run.estimated && !chosen ? '6 6' : null }}
+      eventHandlers={handlers}>
+      <Tooltip sticky>
+        <div className="text-xs">
+          <div className="font-semibold">Safety {run.score ?? '—'}{run.estimated ? ' (route average)' : ''}</div>
+          {run.factors.length > 0 && <div>{run.factors.join(' · ')}</div>}
+          {!chosen && <div className="text-gray-500">Click to choose this route</div>}
+          {chosen && onGrab && <div className="text-gray-500">Drag to route through another point</div>}
+        </div>
+      </Tooltip>
+    </Polyline>
+  ))
+}
+
+export function SafetyLegend({ estimated, unscored }) {
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-xs text-gray-600">
+      {(unscored ? [...SAFETY_LEVELS, UNKNOWN_LEVEL] : SAFETY_LEVELS).map(l => (
+        <span key={l.key} className="inline-flex items-center gap-1">
+          <span className="inline-block w-4 h-1.5 rounded" style={{ background: l.color }}></span>{l.label}
+        </span>
+      ))}
+      {estimated && <span className="text-amber-700">Per-segment data unavailable; colour shows the route average.</span>}
+    </div>
+  )
+}
@@ -0,0 +1,36 @@
+import { useEffect, useRef, useState } from 'react'
+
+// Full-screen "are you OK?" prompt shown before an automatic SOS is sent.
+// Fires onExpire once when the countdown reaches zero unless cancelled.
+export default function SosCountdown({ seconds = 30, reasons = [], onCancel, onExpire, onSendNow }) {
+  const [left, setLeft] = useState(seconds)
+  const fired = useRef(false)
+
+  useEffect(() => {
+    const t = setInterval(() => setLeft(n => Math.max(0, n - 1)), 1000)
+    if (navigator.vibrate) navigator.vibrate([500, 250, 500])
+    return () => clearInterval(t)
+  }, [])
+
+  useEffect(() => {
+    if (left === 0 && !fired.current) {
+      fired.current = true
+      onExpire()
+    }
+  }, [left])
+
+  return (
+    <div className="fixed inset-0 z-[2000] bg-black/60 flex items-center justify-center p-4" role="alertdialog" aria-modal="true" aria-labelledby="sos-countdown-title">
+      <div className="bg-white rounded-xl shadow-xl max-w-sm w-full p-6 space-y-4 text-center">
+        <h2 id="sos-countdown-title" className="text-lg font-bold text-red-700">Are you OK?</h2>
+        <div className="text-5xl font-bold tabular-nums text-red-600">{left}</div>
+        <p className="text-sm text-gray-700">SOS will be sent to emergency contacts and your guardians automatically.</p>
+        {!!reasons.length && <p className="text-xs text-gray-500">Detected: {reasons.join(', ')}</p>}
+        <div className="flex gap-2">
+          <button onClick={onCancel} className="flex-1 px-4 py-3 rounded bg-green-600 text-white font-semibold">I'm OK</button>
+          <button onClick={onSendNow} className="flex-1 px-4 py-3 rounded bg-red-600 text-white font-semibold">Send now</button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,127 @@
+import { useEffect, useRef, useState } from 'react'
+import { Badge } from './ui'
+import { PlaceLabel } from './AddressSearch'
+import TripStats from './TripStats'
+import { ExportButtons } from './RouteExport'
+import { MODES, modeOf } from '../lib/modes'
+import { EMPTY_TRIP_FILTERS, hasTripFilters } from '../lib/tripHistory'
+import { tripRecord } from '../lib/routeExport'
+
+export const tripModeLabel = (t) => (t.mode === 'custom' ? t.profile?.name || 'Custom profile' : modeOf(t.mode).label)
+
+function TripFilters({ filters, setFilters }) {
+  const set = (k) => (e) => setFilters({ ...filters, [k]: e.target.value })
+  return (
+    <div className="grid grid-cols-2 gap-1.5 mb-2 text-xs">
+      <label className="flex flex-col gap-0.5">From<input type="date" value={filters.from} onChange={set('from')} className="border rounded px-1.5 py-1" /></label>
+      <label className="flex flex-col gap-0.5">To<input type="date" value={filters.to} onChange={set('to')} className="border rounded px-1.5 py-1" /></label>
+      <label className="flex flex-col gap-0.5">Min safety<input type="number" min="0" max="100" value={filters.minSafety} onChange={set('minSafety')} className="border rounded px-1.5 py-1" /></label>
+      <div className="flex gap-1.5">
+        <label className="flex flex-col gap-0.5 flex-1">Min km<input type="number" min="0" step="0.1" value={filters.minKm} onChange={set('minKm')} className="w-full border rounded px-1.5 py-1" /></label>
+        <label className="flex flex-col gap-0.5 flex-1">Max km<input type="number" min="0" step="0.1" value={filters.maxKm} onChange={set('maxKm')} className="w-full border rounded px-1.5 py-1" /></label>
+      </div>
+    </div>
+  )
+}
+
+// My Trips: searchable, filterable, infinitely scrolling list plus a stats tab.
+// `history` is useTripHistory() owned by the planner so saving a trip can reload it.
+export default function TripHistory({ uid, history, filters, setFilters, summary, profiles, onView, onRerun, onDelete }) {
+  const [tab, setTab] = useState('list')
+  const [showFilters, setShowFilters] = useState(false)
+  const [selected, setSelected] = useState(() => new Set())
+  const scroller = useRef(null)
+  const sentinel = useRef(null)
+  const loadMore = useRef(history.loadMore)
+  loadMore.current = history.loadMore
+
+  // Loads the next page when the end of the list scrolls into view.
+  useEffect(() => {
+    if (tab !== 'list' || !sentinel.current) return
+    const io = new IntersectionObserver(entries => {
+      if (entries.some(e => e.isIntersecting)) loadMore.current()
+    }, { root: scroller.current, rootMargin: '120px' })
+    io.observe(sentinel.current)
+    return () => io.disconnect()
+  }, [tab, history.hasMore])
+
+  const filtered = hasTripFilters(filters)
+  const chosen = history.trips.filter(t => selected.has(t._id))
+  const toggle = (id) => setSelected(s => {
+    const next = new Set(s)
+    if (!next.delete(id)) next.add(id)
+    return next
+  })
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2 gap-2">
+        <div className="flex items-center gap-1">
+          <div className="text-sm font-medium mr-1">My Trips</div>
+          {['list', 'stats'].map(t => (
+            <button key={t} onClick={() => setTab(t)} className={`px-2 py-0.5 rounded border text-xs capitalize ${tab === t ? 'bg-gray-900 text-white border-gray-900' : 'bg-white'}`}>{t}</button>
+          ))}
+        </div>
+        {tab === 'list' && (
+          <div className="flex items-center gap-2">
+            <select value={filters.mode} onChange={e => setFilters({ ...filters, mode: e.target.value })} className="px-2 py-1 text-xs border rounded">
+              <option value="all">All</option>
+              {MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+              <option value="custom">My profiles</option>
+            </select>
+            <button onClick={history.reload} className="px-2 py-1 text-xs rounded border">{history.loading ? 'Loading...' : 'Refresh'}</button>
+          </div>
+        )}
+      </div>
+      {summary && (
+        <div className="mb-2 text-xs text-gray-600">{summary.total_trips} trips · {summary.total_km} km · Avg safety {summary.avg_safety} · Fav: {summary.favorite_mode ? modeOf(summary.favorite_mode, profiles).label : '—'}</div>
+      )}
+
+      {tab === 'stats' ? <TripStats uid={uid} profiles={profiles} /> : (
+        <>
+          <div className="flex gap-2 mb-2">
+            <input type="search" value={filters.q} onChange={e => setFilters({ ...filters, q: e.target.value })} placeholder="Search places" className="flex-1 border rounded px-2 py-1 text-sm" />
+            <button onClick={() => setShowFilters(v => !v)} className={`px-2 py-1 text-xs rounded border ${filtered ? 'border-blue-500 text-blue-700' : ''}`}>Filters</button>
+            {filtered && <button onClick={() => setFilters(EMPTY_TRIP_FILTERS)} className="px-2 py-1 text-xs rounded border">Clear</button>}
+          </div>
+          {showFilters && <TripFilters filters={filters} setFilters={setFilters} />}
+          <div className="flex items-center gap-1.5 mb-2 text-xs">
+            <button onClick={() => setSelected(chosen.length === history.trips.length ? new Set() : new Set(history.trips.map(t => t._id)))} disabled={!history.trips.length} className="px-2 py-1 rounded border disabled:opacity-50">
+              {chosen.length && chosen.length === history.trips.length ? 'Select none' : 'Select all'}
+            </button>
+            <span className="text-gray-600">{chosen.length ? `Export ${chosen.length} selected` : 'Select trips to export'}</span>
+            <ExportButtons filename="saferoutes-trips" name="SafeRoutes trips" disabled={!chosen.length}
+              records={() => chosen.map(t => tripRecord(t, tripModeLabel(t)))} />
+          </div>
+          {history.error && <div className="mb-2 text-xs text-red-600">Could not load trips. <button onClick={history.reload} className="underline">Retry</button></div>}
+          <div ref={scroller} className="space-y-2 max-h-64 overflow-auto pr-1">
+            {history.trips.map(t => (
+              <div key={t._id} className="p-2 bg-white rounded border">
+                <div className="flex items-center justify-between">
+                  <label className="flex items-center gap-1.5 text-sm font-medium">
+                    <input type="checkbox" checked={selected.has(t._id)} onChange={() => toggle(t._id)} />
+                    {tripModeLabel(t)} · {Number(t.distance_km).toFixed(3)} km
+                  </label>
+                  <div className="flex gap-1">
+                    {t.safety_score != null && <Badge color={t.safety_score>=75?'green':t.safety_score>=60?'amber':'red'}>{t.safety_score}</Badge>}
+                    <Badge color="blue">{Number(t.eta_minutes).toFixed(1)} min</Badge>
+                  </div>
+                </div>
+                <div className="text-xs text-gray-600 mt-1"><PlaceLabel point={t.origin} label={t.origin?.label} /> → <PlaceLabel point={t.destination} label={t.destination?.label} />{t.waypoints?.length ? ` · via ${t.waypoints.length} stop${t.waypoints.length > 1 ? 's' : ''}` : ''}</div>
+                {t.created_at && <div className="text-xs text-gray-500">{new Date(t.created_at).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}</div>}
+                <div className="flex gap-2 mt-2">
+                  <button onClick={() => onView(t)} className="px-2 py-1 text-xs rounded border">View</button>
+                  <button onClick={() => onRerun(t)} className="px-2 py-1 text-xs rounded bg-blue-600 text-white">Re-run</button>
+                  <button onClick={() => onDelete(t)} className="px-2 py-1 text-xs rounded border text-red-600">Delete</button>
+                </div>
+              </div>
+            ))}
+            {!history.trips.length && !history.loading && <div className="text-sm text-gray-500">{filtered ? 'No trips match these filters.' : 'No trips yet.'}</div>}
+            <div ref={sentinel} className="h-1"></div>
+            {history.hasMore && <button onClick={history.loadMore} className="w-full px-2 py-1 text-xs rounded border">{history.loading ? 'Loading…' : 'Load more'}</button>}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,80 @@
+import { useState } from 'react'
+import { modeOf } from '../lib/modes'
+import { safetyLevel } from '../lib/segments'
+import { useTripStats, STAT_PERIODS } from '../lib/tripHistory'
+
+const periodLabel = (iso, period) => {
+  const d = new Date(iso)
+  return period === 'month'
+    ? d.toLocaleDateString([], { month: 'short', year: '2-digit' })
+    : d.toLocaleDateString([], { day: 'numeric', month: 'short' })
+}
+
+// One column per period; `bar(bucket)` returns [{ value, color, title }] stacked bottom-up.
+function BarChart({ title, buckets, period, max, bar, format }) {
+  return (
+    <div>
+      <div className="text-xs text-gray-700 mb-1">{title}</div>
+      <div className="flex items-end gap-1 h-24 border-b border-gray-300">
+        {buckets.map(b => {
+          const parts = bar(b)
+          const total = parts.reduce((a, p) => a + p.value, 0)
+          return (
+            <div key={b.start} className="flex-1 h-full flex flex-col justify-end" title={`${periodLabel(b.start, period)}: ${format(b)}`}>
+              {parts.map((p, i) => (
+                <div key={i} style={{ height: `${max ? (p.value / max) * 100 : 0}%`, background: p.color }} title={p.title} className={i === parts.length - 1 && total ? 'rounded-t-sm' : ''}></div>
+              ))}
+            </div>
+          )
+        })}
+      </div>
+      <div className="flex gap-1 mt-0.5">
+        {buckets.map((b, i) => (
+          <div key={b.start} className="flex-1 text-[10px] text-gray-500 text-center truncate">{i % 2 === 0 || buckets.length <= 6 ? periodLabel(b.start, period) : ''}</div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// Distance, average safety and mode mix per week or month.
+export default function TripStats({ uid, profiles }) {
+  const [period, setPeriod] = useState('week')
+  const { buckets, loading, error } = useTripStats(uid, period)
+
+  const maxKm = Math.max(0, ...buckets.map(b => b.km || 0))
+  const maxTrips = Math.max(0, ...buckets.map(b => b.trips || 0))
+  const modes = [...new Set(buckets.flatMap(b => Object.keys(b.modes || {})))]
+  const totals = modes.map(m => ({ mode: m, count: buckets.reduce((a, b) => a + (b.modes?.[m] || 0), 0) })).sort((a, b) => b.count - a.count)
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2">
+        {STAT_PERIODS.map(p => (
+          <button key={p.value} onClick={() => setPeriod(p.value)} className={`px-2 py-0.5 rounded border text-xs ${period === p.value ? 'bg-gray-900 text-white border-gray-900' : 'bg-white'}`}>{p.label}</button>
+        ))}
+        {loading && <span className="text-xs text-gray-500 animate-pulse">Loading…</span>}
+      </div>
+      {error && <div className="text-xs text-red-600">Could not load statistics.</div>}
+      {!loading && !buckets.length && !error && <div className="text-sm text-gray-500">No trips in this period.</div>}
+      {!!buckets.length && (
+        <>
+          <BarChart title="Distance (km)" buckets={buckets} period={period} max={maxKm}
+            bar={b => [{ value: b.km || 0, color: '#2563eb' }]} format={b => `${Number(b.km || 0).toFixed(1)} km`} />
+          <BarChart title="Average safety" buckets={buckets} period={period} max={100}
+            bar={b => (b.avg_safety != null ? [{ value: b.avg_safety, color: safetyLevel(b.avg_safety).color }] : [])} format={b => (b.avg_safety != null ? `${Math.round(b.avg_safety)}` : 'no trips')} />
+          <BarChart title="Trips by mode" buckets={buckets} period={period} max={maxTrips}
+            bar={b => modes.map(m => ({ value: b.modes?.[m] || 0, color: modeOf(m, profiles).color, title: modeOf(m, profiles).label }))} format={b => `${b.trips || 0} trips`} />
+          <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+            {totals.map(t => (
+              <span key={t.mode} className="inline-flex items-center gap-1">
+                <span className="inline-block w-3 h-1.5 rounded" style={{ background: modeOf(t.mode, profiles).color }}></span>
+                {t.mode === 'custom' ? 'My profiles' : modeOf(t.mode, profiles).label} {t.count}
+              </span>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,72 @@
+import { useState } from 'react'
+import { Marker } from 'react-leaflet'
+import L from 'leaflet'
+import AddressSearch, { PlaceLabel } from './AddressSearch'
+
+export const MAX_WAYPOINTS = 8
+
+export const newWaypoint = (p) => ({ id: `w_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`, lat: p.lat, lon: p.lon, label: p.label })
+
+// What the planner API and saved trips/bookmarks store for each stop.
+export const waypointPayload = (waypoints = []) => waypoints.map(w => ({ lat: w.lat, lon: w.lon, ...(w.label ? { label: w.label } : {}) }))
+
+const stopIcon = (n) => L.divIcon({
+  html: `<div style="background:#7c3aed;color:#fff;border:2px solid #fff;border-radius:9999px;width:24px;height:24px;display:flex;align-items:center;justify-content:center;font-size:12px;font-weight:700;box-shadow:0 1px 3px rgba(0,0,0,.4)">${n}</div>`,
+  className: '',
+  iconSize: [24, 24],
+  iconAnchor: [12, 12],
+})
+
+// Numbered, draggable markers for the intermediate stops.
+export function WaypointMarkers({ waypoints, onMove }) {
+  return waypoints.map((w, i) => (
+    <Marker key={w.id} position={[w.lat, w.lon]} icon={stopIcon(i + 1)} draggable
+      eventHandlers={{ dragend: (e) => { const ll = e.target.getLatLng(); onMove(w.id, { lat: ll.lat, lon: ll.lng }) } }} />
+  ))
+}
+
+// Ordered stop list with drag-to-reorder (native HTML5 drag and drop).
+export default function WaypointList({ waypoints, setWaypoints, near, picking, onPick }) {
+  const [dragging, setDragging] = useState(null)
+  const [over, setOver] = useState(null)
+
+  const move = (from, to) => {
+    if (from === to || from == null) return
+    const next = waypoints.slice()
+    const [item] = next.splice(from, 1)
+    next.splice(to, 0, item)
+    setWaypoints(next)
+  }
+  const remove = (id) => setWaypoints(waypoints.filter(w => w.id !== id))
+  const full = waypoints.length >= MAX_WAYPOINTS
+
+  return (
+    <div className="p-2 border rounded bg-white/60 space-y-2">
+      <div className="flex items-center justify-between">
+        <div className="text-xs text-gray-700">Stops on the way {waypoints.length ? `(${waypoints.length})` : ''}</div>
+        <button onClick={onPick} disabled={full} className={`px-2 py-1 rounded text-xs border ${picking ? 'bg-violet-600 text-white border-violet-600' : 'bg-white'} disabled:opacity-50`}>
+          {picking ? 'Click the map…' : 'Add stop on map'}
+        </button>
+      </div>
+      {!full && <AddressSearch value={null} placeholder="Add a stop by address" near={near} onSelect={(p) => setWaypoints([...waypoints, newWaypoint(p)])} />}
+      <ol className="space-y-1">
+        {waypoints.map((w, i) => (
+          <li key={w.id} draggable
+            onDragStart={() => setDragging(i)}
+            onDragOver={(e) => { e.preventDefault(); setOver(i) }}
+            onDrop={(e) => { e.preventDefault(); move(dragging, i); setDragging(null); setOver(null) }}
+            onDragEnd={() => { setDragging(null); setOver(null) }}
+            className={`flex items-center gap-2 p-1.5 rounded border bg-white text-sm cursor-move ${over === i && dragging !== i ? 'border-violet-500' : ''} ${dragging === i ? 'opacity-50' : ''}`}>
+            <span className="text-gray-400 select-none" aria-hidden="true">⋮⋮</span>
+            <span className="h-5 w-5 rounded-full bg-violet-600 text-white text-xs flex items-center justify-center">{i + 1}</span>
+            <span className="flex-1 truncate"><PlaceLabel point={w} label={w.label} /></span>
+            <button onClick={() => move(i, i - 1)} disabled={i === 0} className="px-1 text-xs disabled:opacity-30" aria-label="Move up">↑</button>
+            <button onClick={() => move(i, i + 1)} disabled={i === waypoints.length - 1} className="px-1 text-xs disabled:opacity-30" aria-label="Move down">↓</button>
+            <button onClick={() => remove(w.id)} className="px-1 text-xs text-red-600" aria-label="Remove stop">×</button>
+          </li>
+        ))}
+      </ol>
+      {!waypoints.length && <div className="text-xs text-gray-500">Add pickups or drop-offs between start and end. Drag to reorder.</div>}
+    </div>
+  )
+}
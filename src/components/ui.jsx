@@ -0,0 +1,47 @@
+import { describeError } from '../lib/api'
+
+export function Section({ title, children, actions, loading, error, onDismissError }) {
+  return (
+    <div className="section bg-white/80 backdrop-blur shadow rounded-xl p-4 md:p-6 border border-gray-100 dark:bg-gray-900 dark:border-gray-600 dark:text-gray-100">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-2">
+          <h2 className="text-lg md:text-xl font-semibold text-gray-800 dark:text-white">{title}</h2>
+          {loading && <span className="text-xs text-gray-500 animate-pulse">Loading…</span>}
+        </div>
+        {actions}
+      </div>
+      {error && (
+        <div className="mb-3 p-2 rounded border border-red-200 bg-red-50 text-sm text-red-700 flex items-start justify-between gap-2">
+          <span>{describeError(error)}</span>
+          {onDismissError && <button onClick={onDismissError} className="text-xs underline">Dismiss</button>}
+        </div>
+      )}
+      {children}
+    </div>
+  )
+}
+
+export function Badge({ children, color = 'blue', title }) {
+  const colors = {
+    blue: 'bg-blue-50 text-blue-700 border-blue-200',
+    green: 'bg-green-50 text-green-700 border-green-200',
+    red: 'bg-red-50 text-red-700 border-red-200',
+    amber: 'bg-amber-50 text-amber-700 border-amber-200',
+    violet: 'bg-violet-50 text-violet-700 border-violet-200',
+    gray: 'bg-gray-50 text-gray-700 border-gray-200',
+    slate: 'bg-slate-50 text-slate-700 border-slate-200',
+  }
+  return <span title={title} className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs border ${colors[color] || colors.blue}`}>{children}</span>
+}
+
+export function Toggle({ label, checked, onChange }) {
+  return (
+    <label className="flex items-center gap-2 cursor-pointer select-none">
+      <div className={`w-10 h-6 rounded-full p-0.5 transition ${checked ? 'bg-blue-600' : 'bg-gray-300'}`}
+        onClick={() => onChange(!checked)}>
+        <div className={`h-5 w-5 rounded-full bg-white shadow transform transition ${checked ? 'translate-x-4' : ''}`}></div>
+      </div>
+      <span className="text-sm text-gray-700 dark:text-gray-200">{label}</span>
+    </label>
+  )
+}
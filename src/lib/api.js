@@ -0,0 +1,243 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { session, toSession } from './session'
+
+export const API_BASE = import.meta.env?.VITE_BACKEND_URL || 'http://localhost:8000'
+
+export class ApiError extends Error {
+  // kind: 'http' | 'network' | 'timeout' | 'abort' | 'parse'
+  constructor(kind, message, { status = null, detail = null, path = '', retryAfter = null } = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.kind = kind
+    this.status = status
+    this.detail = detail
+    this.path = path
+    // Seconds, from the Retry-After header on 429/503 responses.
+    this.retryAfter = retryAfter
+  }
+
+  get retryable() {
+    return this.kind === 'network' || this.kind === 'timeout' || (this.kind === 'http' && this.status >= 500)
+  }
+}
+
+export const isAbort = (err) => err instanceof ApiError && err.kind === 'abort'
+
+export function describeError(err) {
+  if (!err) return ''
+  if (!(err instanceof ApiError)) return err.message || String(err)
+  if (err.kind === 'timeout') return 'The server took too long to respond.'
+  if (err.kind === 'network') return 'Cannot reach the server. Check your connection.'
+  if (err.kind === 'http' && err.status === 429) {
+    return err.retryAfter ? `You're doing that too often. Try again in ${err.retryAfter}s.` : `You're doing that too often. Please wait a moment.`
+  }
+  if (err.kind === 'http') {
+    const detail = typeof err.detail === 'string' ? err.detail : err.detail?.detail || err.detail?.message
+    return detail ? `${detail} (${err.status})` : `Request failed (${err.status})`
+  }
+  return err.message
+}
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const t = setTimeout(resolve, ms)
+  signal?.addEventListener('abort', () => { clearTimeout(t); reject(signal.reason) }, { once: true })
+})
+
+async function readBody(res) {
+  const text = await res.text()
+  if (!text) return null
+  try { return JSON.parse(text) } catch { return text }
+}
+
+// Framework-free client so it can be exercised against a local mock server
+// by passing a different baseUrl/fetch.
+export function createApiClient({
+  baseUrl = API_BASE,
+  fetch: fetchImpl = (...args) => globalThis.fetch(...args),
+  timeout = 12000,
+  retries = 2,
+  backoff = 400,
+  headers: getHeaders = () => ({}),
+  onUnauthorized = null,
+} = {}) {
+  const attempt = async (path, { method, body, headers, signal, timeout: ms }) => {
+    const ctrl = new AbortController()
+    let timedOut = false
+    const timer = setTimeout(() => { timedOut = true; ctrl.abort() }, ms)
+    const onAbort = () => ctrl.abort()
+    signal?.addEventListener('abort', onAbort, { once: true })
+    let res
+    try {
+      res = await fetchImpl(`${baseUrl}${path}`, {
+        method,
+        headers: {
+          ...(body !== undefined && !(body instanceof FormData) ? { 'Content-Type': 'application/json' } : {}),
+          ...getHeaders(),
+          ...headers,
+        },
+        body: body === undefined || body instanceof FormData ? body : JSON.stringify(body),
+        signal: ctrl.signal,
+      })
+    } catch (e) {
+      if (signal?.aborted) throw new ApiError('abort', 'Request was cancelled', { path })
+      if (timedOut) throw new ApiError('timeout', `Timed out after ${ms}ms`, { path })
+      throw new ApiError('network', e.message || 'Network error', { path })
+    } finally {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', onAbort)
+    }
+    const data = await readBody(res).catch(() => null)
+    if (!res.ok) {
+      const retryAfter = Number(res.headers?.get?.('Retry-After')) || null
+      throw new ApiError('http', `${method} ${path} failed with ${res.status}`, { status: res.status, detail: data, path, retryAfter })
+    }
+    if (typeof data === 'string') {
+      throw new ApiError('parse', `Expected JSON from ${path}`, { status: res.status, detail: data, path })
+    }
+    return data
+  }
+
+  const request = async (path, { method = 'GET', body, headers, signal, timeout: ms = timeout, retries: n } = {}) => {
+    // Only idempotent reads are retried; a repeated POST could duplicate a trip or an SOS.
+    const maxRetries = n ?? (method === 'GET' ? retries : 0)
+    let refreshed = false
+    for (let i = 0; ; i++) {
+      try {
+        return await attempt(path, { method, body, headers, signal, timeout: ms })
+      } catch (e) {
+        if (e instanceof ApiError && e.status === 401 && onUnauthorized && !refreshed) {
+          refreshed = true
+          if (await onUnauthorized()) { i--; continue }
+        }
+        if (!(e instanceof ApiError) || !e.retryable || i >= maxRetries) throw e
+        try {
+          await sleep(backoff * 2 ** i, signal)
+        } catch {
+          throw new ApiError('abort', 'Request was cancelled', { path })
+        }
+      }
+    }
+  }
+
+  // Multipart upload over XHR, since fetch cannot report upload progress.
+  // onProgress receives a 0..1 fraction. Never retried, like other writes.
+  const sendUpload = (path, formData, { method, onProgress, signal, timeout: ms }) => new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    xhr.open(method, `${baseUrl}${path}`)
+    Object.entries(getHeaders()).forEach(([k, v]) => xhr.setRequestHeader(k, v))
+    xhr.timeout = ms
+    xhr.upload.onprogress = (e) => { if (e.lengthComputable) onProgress?.(e.loaded / e.total) }
+    xhr.onload = () => {
+      let data = xhr.responseText || null
+      try { data = data && JSON.parse(data) } catch {}
+      if (xhr.status >= 200 && xhr.status < 300) resolve(data)
+      else reject(new ApiError('http', `${method} ${path} failed with ${xhr.status}`, { status: xhr.status, detail: data, path }))
+    }
+    xhr.onerror = () => reject(new ApiError('network', 'Network error', { path }))
+    xhr.ontimeout = () => reject(new ApiError('timeout', `Timed out after ${ms}ms`, { path }))
+    xhr.onabort = () => reject(new ApiError('abort', 'Request was cancelled', { path }))
+    if (signal?.aborted) return xhr.abort()
+    signal?.addEventListener('abort', () => xhr.abort(), { once: true })
+    xhr.send(formData)
+  })
+
+  const upload = async (path, formData, { method = 'POST', onProgress, signal, timeout: ms = 120000 } = {}) => {
+    try {
+      return await sendUpload(path, formData, { method, onProgress, signal, timeout: ms })
+    } catch (e) {
+      if (e.status === 401 && onUnauthorized && await onUnauthorized()) {
+        return sendUpload(path, formData, { method, onProgress, signal, timeout: ms })
+      }
+      throw e
+    }
+  }
+
+  return {
+    request,
+    upload,
+    get: (path, opts) => request(path, { ...opts, method: 'GET' }),
+    post: (path, body, opts) => request(path, { ...opts, method: 'POST', body }),
+    put: (path, body, opts) => request(path, { ...opts, method: 'PUT', body }),
+    patch: (path, body, opts) => request(path, { ...opts, method: 'PATCH', body }),
+    del: (path, opts) => request(path, { ...opts, method: 'DELETE' }),
+  }
+}
+
+// Bare client for the auth endpoints themselves, so a failing refresh cannot recurse.
+export const authApi = createApiClient({ retries: 0 })
+
+let refreshing = null
+// Exchanges the stored refresh token for a new access token. Concurrent 401s
+// share one refresh; a rejected refresh ends the session.
+export function refreshSession() {
+  const current = session.get()
+  if (!current?.refresh_token) return Promise.resolve(false)
+  refreshing = refreshing || authApi.post('/api/auth/refresh', { refresh_token: current.refresh_token })
+    .then(data => { session.set(toSession(data, current)); return true })
+    .catch(e => {
+      if (e instanceof ApiError && e.kind === 'http' && e.status < 500) session.clear()
+      return false
+    })
+    .finally(() => { refreshing = null })
+  return refreshing
+}
+
+export const api = createApiClient({ headers: session.headers, onUnauthorized: refreshSession })
+
+// Per-component wrapper around the shared client. Tracks in-flight requests
+// for a loading flag, keeps the last error, and aborts everything on unmount.
+// Passing `{ key }` cancels the previous request made under the same key, so a
+// superseded response can never overwrite a newer one.
+export function useBackend(client = api) {
+  const [pending, setPending] = useState(0)
+  const [error, setError] = useState(null)
+  const keyed = useRef(new Map())
+  const all = useRef(new Set())
+
+  useEffect(() => () => {
+    all.current.forEach(c => c.abort())
+    all.current.clear()
+  }, [])
+
+  // Folds any promise (e.g. an outbox send) into this hook's loading/error state.
+  const track = useCallback(async (promise) => {
+    setPending(n => n + 1)
+    try {
+      const data = await promise
+      setError(null)
+      return data
+    } catch (e) {
+      if (!isAbort(e)) setError(e)
+      throw e
+    } finally {
+      setPending(n => n - 1)
+    }
+  }, [])
+
+  const run = useCallback(async (method, path, body, { key, ...opts } = {}) => {
+    const ctrl = new AbortController()
+    if (key) {
+      keyed.current.get(key)?.abort()
+      keyed.current.set(key, ctrl)
+    }
+    all.current.add(ctrl)
+    try {
+      return await track(client.request(path, { ...opts, method, body, signal: ctrl.signal }))
+    } finally {
+      all.current.delete(ctrl)
+      if (key && keyed.current.get(key) === ctrl) keyed.current.delete(key)
+    }
+  }, [client, track])
+
+  return useMemo(() => ({
+    get: (path, opts) => run('GET', path, undefined, opts),
+    post: (path, body, opts) => run('POST', path, body, opts),
+    put: (path, body, opts) => run('PUT', path, body, opts),
+    patch: (path, body, opts) => run('PATCH', path, body, opts),
+    del: (path, opts) => run('DELETE', path, undefined, opts),
+    track,
+    loading: pending > 0,
+    error,
+    clearError: () => setError(null),
+  }), [run, track, pending, error])
+}
@@ -0,0 +1,84 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createApiClient, ApiError, describeError } from './api'
+
+const reply = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (k) => headers[k] ?? null },
+  text: async () => (body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body)),
+})
+
+// A fetch that answers each call with the next scripted response; functions throw.
+const scripted = (...responses) => vi.fn(async () => {
+  const next = responses.shift()
+  if (typeof next === 'function') return next()
+  return next
+})
+
+const client = (fetch, opts) => createApiClient({ baseUrl: 'http://api', fetch, backoff: 0, ...opts })
+
+describe('createApiClient', () => {
+  it('sends JSON with the auth headers and returns the parsed body', async () => {
+    const fetch = scripted(reply(200, { ok: true }))
+    const api = client(fetch, { headers: () => ({ Authorization: 'Bearer t' }) })
+    expect(await api.post('/api/trips', { a: 1 })).toEqual({ ok: true })
+    const [url, init] = fetch.mock.calls[0]
+    expect(url).toBe('http://api/api/trips')
+    expect(init.body).toBe('{"a":1}')
+    expect(init.headers).toMatchObject({ 'Content-Type': 'application/json', Authorization: 'Bearer t' })
+  })
+
+  it('turns HTTP failures into ApiErrors with the status, detail and Retry-After', async () => {
+    const api = client(scripted(reply(429, { detail: 'Slow down' }, { 'Retry-After': '30' })))
+    const err = await api.post('/api/sos', {}).catch(e => e)
+    expect(err).toBeInstanceOf(ApiError)
+    expect(err).toMatchObject({ kind: 'http', status: 429, retryAfter: 30, detail: { detail: 'Slow down' }, path: '/api/sos' })
+    expect(err.retryable).toBe(false)
+    expect(describeError(err)).toBe("You're doing that too often. Try again in 30s.")
+  })
+
+  it('reports network failures and non-JSON bodies by kind', async () => {
+    const down = client(scripted(() => { throw new TypeError('Failed to fetch') }), { retries: 0 })
+    expect(await down.get('/x').catch(e => e.kind)).toBe('network')
+    const html = client(scripted(reply(200, '<html>')))
+    expect(await html.get('/x').catch(e => e.kind)).toBe('parse')
+  })
+
+  it('retries reads on 5xx but never writes', async () => {
+    const fetch = scripted(reply(503), reply(502), reply(200, { n: 1 }))
+    expect(await client(fetch).get('/x')).toEqual({ n: 1 })
+    expect(fetch).toHaveBeenCalledTimes(3)
+
+    const write = scripted(reply(503), reply(200, {}))
+    await expect(client(write).post('/x', {})).rejects.toMatchObject({ status: 503 })
+    expect(write).toHaveBeenCalledTimes(1)
+  })
+
+  it('refreshes once on 401 and replays the request', async () => {
+    const fetch = scripted(reply(401), reply(200, { me: 1 }))
+    const onUnauthorized = vi.fn(async () => true)
+    expect(await client(fetch, { onUnauthorized }).post('/api/me', {})).toEqual({ me: 1 })
+    expect(onUnauthorized).toHaveBeenCalledTimes(1)
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  it('gives up with the 401 when the refresh fails or a second 401 follows', async () => {
+    const refused = client(scripted(reply(401)), { onUnauthorized: async () => false })
+    await expect(refused.get('/x')).rejects.toMatchObject({ status: 401 })
+
+    const onUnauthorized = vi.fn(async () => true)
+    const looping = client(scripted(reply(401), reply(401)), { onUnauthorized })
+    await expect(looping.get('/x')).rejects.toMatchObject({ status: 401 })
+    expect(onUnauthorized).toHaveBeenCalledTimes(1)
+  })
+
+  it('reports a cancelled request as an abort', async () => {
+    const ctrl = new AbortController()
+    const fetch = vi.fn((url, { signal }) => new Promise((_, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')))
+    }))
+    const pending = client(fetch).get('/x', { signal: ctrl.signal })
+    ctrl.abort()
+    await expect(pending).rejects.toMatchObject({ kind: 'abort' })
+  })
+})
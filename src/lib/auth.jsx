@@ -0,0 +1,59 @@
+import { createContext, useContext, useEffect, useMemo, useState } from 'react'
+import { Navigate, useLocation } from 'react-router-dom'
+import { authApi, api } from './api'
+import { session, toSession } from './session'
+
+const AuthContext = createContext(null)
+
+export function AuthProvider({ children }) {
+  const [current, setCurrent] = useState(session.get())
+
+  useEffect(() => session.subscribe(setCurrent), [])
+
+  const value = useMemo(() => ({
+    user: current?.user || null,
+    uid: current?.user?.uid || null,
+    role: current?.user?.role || 'user',
+    isAuthenticated: !!current?.access_token,
+    async login(username, password) {
+      const data = await authApi.post('/api/auth/login', { username, password })
+      session.set(toSession(data))
+      return data.user
+    },
+    async register(username, password, extra = {}) {
+      const data = await authApi.post('/api/auth/register', { username, password, ...extra })
+      session.set(toSession(data))
+      return data.user
+    },
+    async logout() {
+      const refresh_token = session.get()?.refresh_token
+      // Drop the local session first so a dead backend cannot keep anyone signed in.
+      // The outbox follows the session: this account's queued writes are held
+      // back until it signs in again.
+      session.clear()
+      if (refresh_token) await authApi.post('/api/auth/logout', { refresh_token }).catch(() => {})
+    },
+    async reloadUser() {
+      const user = await api.get('/api/auth/me')
+      const s = session.get()
+      if (s) session.set({ ...s, user })
+      return user
+    },
+  }), [current])
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>
+}
+
+export function useAuth() {
+  const ctx = useContext(AuthContext)
+  if (!ctx) throw new Error('useAuth must be used inside <AuthProvider>')
+  return ctx
+}
+
+export function RequireAuth({ children, role }) {
+  const auth = useAuth()
+  const location = useLocation()
+  if (!auth.isAuthenticated) return <Navigate to="/login" replace state={{ from: location }} />
+  if (role && auth.role !== role) return <Navigate to="/" replace />
+  return children
+}
@@ -0,0 +1,77 @@
+import { useEffect, useRef, useState } from 'react'
+
+// Levels are whole percentages (0-100). Where the Battery Status API is
+// missing (Firefox, Safari) the user can type a level instead.
+export function createBatteryService({ getBattery = typeof navigator !== 'undefined' && navigator.getBattery ? () => navigator.getBattery() : null } = {}) {
+  const listeners = new Set()
+  let state = { level: null, charging: false, supported: !!getBattery, source: null }
+  let started = false
+
+  const set = (patch) => {
+    state = { ...state, ...patch }
+    listeners.forEach(fn => fn(state))
+  }
+
+  const start = async () => {
+    if (started || !getBattery) return
+    started = true
+    try {
+      const battery = await getBattery()
+      const read = () => set({ level: Math.round(battery.level * 100), charging: battery.charging, source: 'device' })
+      battery.addEventListener('levelchange', read)
+      battery.addEventListener('chargingchange', read)
+      read()
+    } catch {
+      set({ supported: false })
+    }
+  }
+
+  return {
+    start,
+    getState: () => state,
+    // Only used when the device can't report its own level.
+    setManual(level) {
+      if (state.source === 'device') return
+      set({ level: level == null || Number.isNaN(level) ? null : Math.min(100, Math.max(0, Math.round(level))), source: 'manual' })
+    },
+    subscribe(fn) {
+      listeners.add(fn)
+      return () => listeners.delete(fn)
+    },
+  }
+}
+
+export const batteryService = createBatteryService()
+
+export function useBattery(service = batteryService) {
+  const [state, setState] = useState(service.getState())
+  useEffect(() => {
+    service.start()
+    return service.subscribe(setState)
+  }, [service])
+  return { ...state, setManual: service.setManual }
+}
+
+// Hysteresis so a level hovering around a threshold doesn't fire repeatedly.
+export const REARM_MARGIN = 5
+
+// Calls onLow once each time the battery drains to `threshold` or below;
+// charging or recovering past the margin re-arms it. While `enabled` is false
+// it stays armed, so becoming enabled on an already low battery fires at once.
+export function useLowBattery({ level, charging }, threshold, onLow, { enabled = true } = {}) {
+  const fired = useRef(false)
+  const handler = useRef(onLow)
+  handler.current = onLow
+
+  useEffect(() => {
+    if (level == null || !threshold) return
+    if (!enabled || charging || level > threshold + REARM_MARGIN) {
+      fired.current = false
+      return
+    }
+    if (level <= threshold && !fired.current) {
+      fired.current = true
+      handler.current(level)
+    }
+  }, [level, charging, threshold, enabled])
+}
@@ -0,0 +1,247 @@
+import { useEffect, useRef, useState } from 'react'
+import { useBackend, isAbort } from './api'
+import { toGpx, parseGpx } from './gpx'
+
+// Suggested tags; any other tag text is allowed too.
+export const BOOKMARK_TAGS = ['home', 'work', 'family']
+
+const LEGACY_KEY = 'sr_bookmarks'
+const cacheKey = (uid) => `sr_bookmarks:${uid}`
+const EXPORT_FORMAT = 'saferoutes.bookmarks'
+const SYNC_DELAY_MS = 1500
+
+export const newBookmarkId = () => `b_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`
+
+const byPosition = (list) => list.slice().sort((a, b) => (a.position ?? 0) - (b.position ?? 0))
+const stamp = (b) => ({ ...b, updated_at: new Date().toISOString(), dirty: true })
+const strip = ({ dirty, version, ...b }) => b
+
+const validPoint = (p) => p && Number.isFinite(Number(p.lat)) && Number.isFinite(Number(p.lon))
+const point = (p) => ({ lat: Number(p.lat), lon: Number(p.lon), ...(p.label || p.name ? { label: p.label || p.name } : {}) })
+
+// Fills defaults and rejects entries without a usable start and end.
+export function normalizeBookmark(raw) {
+  if (!raw || !validPoint(raw.start) || !validPoint(raw.end)) throw new Error('Bookmark needs a start and an end')
+  return {
+    id: raw.id || raw._id || newBookmarkId(),
+    name: String(raw.name || 'Bookmark').trim().slice(0, 80),
+    start: point(raw.start),
+    end: point(raw.end),
+    waypoints: (raw.waypoints || []).filter(validPoint).map(point),
+    tags: [...new Set((raw.tags || []).map(t => String(t).trim().toLowerCase()).filter(Boolean))],
+    mode: raw.mode || null,
+    depart_time: /^\d{2}:\d{2}$/.test(raw.depart_time || '') ? raw.depart_time : null,
+    position: raw.position ?? 0,
+    updated_at: raw.updated_at || new Date().toISOString(),
+    ...(raw.version != null ? { version: raw.version } : {}),
+  }
+}
+
+// Three-way merge of the local cache with the server list.
+// - local entries carry the server `version` they were based on and `dirty`
+//   when edited since; `deleted` holds tombstones { id, version }.
+// - an entry edited on both sides keeps the newer `updated_at`.
+// Returns the merged list and the operations to send.
+export function mergeBookmarks(local, deleted, remote) {
+  const remoteById = new Map(remote.map(r => [r.id, r]))
+  const gone = new Map(deleted.map(d => [d.id, d]))
+  const merged = []
+  const push = []
+  const remove = []
+  const conflicts = []
+
+  for (const l of local) {
+    const r = remoteById.get(l.id)
+    remoteById.delete(l.id)
+    if (!r) {
+      // Known to the server before but gone now: deleted on another device.
+      if (l.version != null && !l.dirty) continue
+      merged.push(l)
+      push.push({ item: l, create: true })
+      continue
+    }
+    if (!l.dirty || l.version === r.version) {
+      merged.push(l.dirty ? l : r)
+      if (l.dirty) push.push({ item: l, base: r.version })
+      continue
+    }
+    conflicts.push(l.name)
+    if (new Date(l.updated_at) > new Date(r.updated_at)) {
+      merged.push({ ...l, version: r.version })
+      push.push({ item: l, base: r.version })
+    } else {
+      merged.push(r)
+    }
+  }
+  for (const r of remoteById.values()) {
+    if (gone.has(r.id)) remove.push(gone.get(r.id))
+    else merged.push(r)
+  }
+  return { merged: byPosition(merged), push, remove, conflicts }
+}
+
+// Accepts our JSON export (or a bare array) and GPX routes/tracks, taking the
+// first and last points as start and end and anything between as stops.
+export function parseBookmarks(text) {
+  if (text.trim().startsWith('<')) {
+    const gpx = parseGpx(text)
+    const items = [...gpx.routes, ...gpx.tracks].filter(r => r.points.length >= 2)
+    if (!items.length) throw new Error('No routes in GPX file')
+    return items.map(r => normalizeBookmark({
+      id: newBookmarkId(),
+      name: r.name || 'Imported route',
+      start: r.points[0],
+      end: r.points[r.points.length - 1],
+      // A recorded track has far too many points to keep as stops.
+      waypoints: r.points.length <= 10 ? r.points.slice(1, -1) : [],
+      tags: r.extensions.tags ? r.extensions.tags.split(',') : [],
+      mode: r.extensions.mode,
+      depart_time: r.extensions.depart_time,
+    }))
+  }
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('Not a JSON or GPX file')
+  }
+  const list = Array.isArray(data) ? data : data?.bookmarks
+  if (!Array.isArray(list) || !list.length) throw new Error('No bookmarks in file')
+  return list.map(b => normalizeBookmark({ ...b, id: newBookmarkId(), version: null }))
+}
+
+export const exportBookmarksJson = (bookmarks) => JSON.stringify({ format: EXPORT_FORMAT, version: 1, bookmarks: bookmarks.map(strip) }, null, 2)
+
+export const exportBookmarksGpx = (bookmarks) => toGpx({
+  name: 'SafeRoutes bookmarks',
+  routes: bookmarks.map(b => ({
+    name: b.name,
+    points: [
+      { lat: b.start.lat, lon: b.start.lon, name: b.start.label },
+      ...b.waypoints.map(w => ({ lat: w.lat, lon: w.lon, name: w.label })),
+      { lat: b.end.lat, lon: b.end.lon, name: b.end.label },
+    ],
+    extensions: { tags: b.tags, mode: b.mode, depart_time: b.depart_time },
+  })),
+})
+
+const readCache = (uid) => {
+  try {
+    return JSON.parse(localStorage.getItem(cacheKey(uid)) || 'null') || { bookmarks: [], deleted: [] }
+  } catch {
+    return { bookmarks: [], deleted: [] }
+  }
+}
+
+// Bookmarks from before server sync, picked up once by the first user to sign in here.
+const takeLegacy = () => {
+  try {
+    const raw = JSON.parse(localStorage.getItem(LEGACY_KEY) || '[]')
+    localStorage.removeItem(LEGACY_KEY)
+    return raw.map((b, i) => { try { return stamp({ ...normalizeBookmark(b), position: i, version: undefined }) } catch { return null } }).filter(Boolean)
+  } catch {
+    return []
+  }
+}
+
+// The user's bookmarks: a local cache that works offline, synced with the
+// server shortly after every change, on load and when coming back online.
+export function useBookmarks(uid) {
+  const { get, post, put, del } = useBackend()
+  const [state, setState] = useState(() => ({ bookmarks: [], deleted: [] }))
+  const [sync, setSync] = useState({ status: 'idle', conflicts: [], error: null })
+  const stateRef = useRef(state)
+  const timer = useRef(null)
+
+  const commit = (next) => {
+    stateRef.current = next
+    setState(next)
+    try { localStorage.setItem(cacheKey(uid), JSON.stringify(next)) } catch {}
+  }
+
+  const syncNow = async () => {
+    if (!uid) return
+    clearTimeout(timer.current)
+    setSync(s => ({ ...s, status: 'syncing' }))
+    try {
+      const data = await get(`/api/bookmarks?user_uid=${encodeURIComponent(uid)}`, { key: 'bookmarks' })
+      const remote = (data?.bookmarks || []).map(b => { try { return normalizeBookmark(b) } catch { return null } }).filter(Boolean)
+      const { bookmarks, deleted } = stateRef.current
+      const plan = mergeBookmarks(bookmarks, deleted, remote)
+      let merged = plan.merged
+      for (const { item, create, base } of plan.push) {
+        const body = { user_uid: uid, ...strip(item), base_version: base ?? null }
+        const res = create ? await post('/api/bookmarks', body) : await put(`/api/bookmarks/${encodeURIComponent(item.id)}`, body)
+        const saved = res?.bookmark ? normalizeBookmark(res.bookmark) : { ...item, version: (base ?? 0) + 1 }
+        merged = merged.map(b => (b.id === item.id ? { ...saved, dirty: false } : b))
+      }
+      for (const d of plan.remove) await del(`/api/bookmarks/${encodeURIComponent(d.id)}?version=${d.version ?? ''}`)
+      // Entries added, edited or deleted while this sync was in flight are
+      // left as they are now and go out with the next one.
+      const now = stateRef.current
+      const before = new Set(bookmarks)
+      const beforeIds = new Set(bookmarks.map(b => b.id))
+      const nowIds = new Set(now.bookmarks.map(b => b.id))
+      const mergedById = new Map(merged.map(b => [b.id, b]))
+      const kept = now.bookmarks.flatMap(b => (before.has(b) ? (mergedById.has(b.id) ? [mergedById.get(b.id)] : []) : [b]))
+      const fromServer = merged.filter(b => !beforeIds.has(b.id) && !nowIds.has(b.id))
+      commit({ bookmarks: byPosition([...kept, ...fromServer]), deleted: now.deleted.filter(d => !deleted.includes(d)) })
+      setSync({ status: 'synced', conflicts: plan.conflicts, error: null, at: Date.now() })
+    } catch (err) {
+      if (!isAbort(err)) setSync(s => ({ ...s, status: 'offline', error: err }))
+    }
+  }
+
+  const scheduleSync = () => {
+    clearTimeout(timer.current)
+    timer.current = setTimeout(syncNow, SYNC_DELAY_MS)
+  }
+
+  const change = (fn) => {
+    commit(fn(stateRef.current))
+    scheduleSync()
+  }
+
+  useEffect(() => {
+    if (!uid) return
+    const cached = readCache(uid)
+    const legacy = takeLegacy()
+    commit({ ...cached, bookmarks: byPosition([...cached.bookmarks, ...legacy.map((b, i) => ({ ...b, position: cached.bookmarks.length + i }))]) })
+    syncNow()
+    const online = () => syncNow()
+    window.addEventListener('online', online)
+    return () => { window.removeEventListener('online', online); clearTimeout(timer.current) }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [uid])
+
+  // New bookmarks go to the top without renumbering the rest.
+  const add = (bookmark) => change(s => ({
+    ...s,
+    bookmarks: [stamp({ ...normalizeBookmark({ ...bookmark, id: newBookmarkId() }), position: Math.min(0, ...s.bookmarks.map(b => b.position ?? 0)) - 1 }), ...s.bookmarks],
+  }))
+
+  const update = (id, patch) => change(s => ({ ...s, bookmarks: s.bookmarks.map(b => (b.id === id ? stamp({ ...b, ...patch }) : b)) }))
+
+  const remove = (id) => change(s => {
+    const b = s.bookmarks.find(x => x.id === id)
+    return {
+      bookmarks: s.bookmarks.filter(x => x.id !== id),
+      // Never-synced bookmarks need no tombstone.
+      deleted: b?.version != null ? [...s.deleted, { id, version: b.version }] : s.deleted,
+    }
+  })
+
+  const move = (from, to) => change(s => {
+    const next = s.bookmarks.slice()
+    const [item] = next.splice(from, 1)
+    next.splice(to, 0, item)
+    return { ...s, bookmarks: next.map((b, i) => (b.position === i ? b : stamp({ ...b, position: i }))) }
+  })
+
+  const importMany = (list) => change(s => ({
+    ...s,
+    bookmarks: [...s.bookmarks, ...list.map((b, i) => stamp({ ...b, position: s.bookmarks.length + i }))],
+  }))
+
+  return { bookmarks: state.bookmarks, add, update, remove, move, importMany, sync, syncNow }
+}
@@ -0,0 +1,158 @@
+import { useEffect, useRef, useState } from 'react'
+import { useBackend } from './api'
+
+export const GENDERS = ['female', 'male', 'non-binary', 'prefer-not-to-say']
+
+// Invitations and chat are polled while the section is open.
+export const INVITE_POLL_MS = 15000
+export const CHAT_POLL_MS = 5000
+
+const idOf = (x) => x._id || x.id || x.request_id
+export const companionId = idOf
+
+const point = (p) => ({ lat: p.lat, lon: p.lon, ...(p.label ? { label: p.label } : {}) })
+
+// Default window: leaving within the next half hour.
+export const defaultWindow = (now = new Date()) => ({
+  from: new Date(now.getTime() - 5 * 60000),
+  to: new Date(now.getTime() + 30 * 60000),
+})
+
+// The user's companion requests, the matches for each and the invitations
+// between matched requests. An accepted invitation is the shared thread that
+// carries the chat and the meeting point.
+export function useCompanions(uid, { pollInterval = INVITE_POLL_MS } = {}) {
+  const { get, post, put, loading, error, clearError } = useBackend()
+  const [requests, setRequests] = useState([])
+  const [matches, setMatches] = useState({}) // request id -> matches
+  const [invitations, setInvitations] = useState([])
+
+  const loadRequests = async () => {
+    if (!uid) return
+    try {
+      const data = await get(`/api/companions/requests?user_uid=${encodeURIComponent(uid)}&active=true`, { key: 'companion-requests' })
+      setRequests(data?.requests || [])
+    } catch {}
+  }
+
+  const loadInvitations = async () => {
+    if (!uid) return
+    try {
+      const data = await get(`/api/companions/invitations?user_uid=${encodeURIComponent(uid)}`, { key: 'companion-invitations' })
+      setInvitations(data?.invitations || [])
+    } catch {}
+  }
+
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  useEffect(() => { loadRequests(); loadInvitations() }, [uid])
+
+  useEffect(() => {
+    if (!uid) return
+    const t = setInterval(loadInvitations, pollInterval)
+    return () => clearInterval(t)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [uid, pollInterval])
+
+  const create = async ({ gender, origin, destination, from, to }) => {
+    const data = await post('/api/companions/request', {
+      user_uid: uid,
+      gender,
+      origin: point(origin),
+      destination: point(destination),
+      earliest_departure: from.toISOString(),
+      latest_departure: to.toISOString(),
+      active: true,
+    })
+    const request = data?.request || { request_id: data?.request_id, gender, origin, destination, earliest_departure: from.toISOString(), latest_departure: to.toISOString(), active: true }
+    setRequests(list => [request, ...list])
+    return request
+  }
+
+  const cancel = async (r) => {
+    await post(`/api/companions/requests/${idOf(r)}/cancel`, { user_uid: uid })
+    setRequests(list => list.filter(x => idOf(x) !== idOf(r)))
+    setMatches(({ [idOf(r)]: _, ...rest }) => rest)
+  }
+
+  const findMatches = async (r) => {
+    const q = new URLSearchParams({ user_uid: uid, request_id: idOf(r) })
+    const data = await get(`/api/companions/match?${q}`, { key: `match:${idOf(r)}` })
+    const list = Array.isArray(data) ? data : data?.matches || []
+    setMatches(m => ({ ...m, [idOf(r)]: list }))
+    return list
+  }
+
+  const replace = (inv) => setInvitations(list => (list.some(x => idOf(x) === idOf(inv)) ? list.map(x => (idOf(x) === idOf(inv) ? inv : x)) : [inv, ...list]))
+
+  const invite = async (r, match) => {
+    const data = await post('/api/companions/invitations', { user_uid: uid, request_id: idOf(r), to_request_id: match.request_id })
+    if (data?.invitation) replace(data.invitation)
+    else loadInvitations()
+  }
+
+  // accept | decline | cancel
+  const respond = async (inv, action) => {
+    const data = await post(`/api/companions/invitations/${idOf(inv)}/${action}`, { user_uid: uid })
+    replace(data?.invitation || { ...inv, status: { accept: 'accepted', decline: 'declined', cancel: 'cancelled' }[action] })
+  }
+
+  const setMeetingPoint = async (inv, p) => {
+    const meeting_point = { ...point(p), set_by: uid }
+    replace({ ...inv, meeting_point })
+    try {
+      const data = await put(`/api/companions/invitations/${idOf(inv)}/meeting_point`, { user_uid: uid, ...meeting_point })
+      if (data?.invitation) replace(data.invitation)
+    } catch {
+      replace(inv)
+    }
+  }
+
+  return {
+    requests, matches, invitations,
+    create, cancel, findMatches, invite, respond, setMeetingPoint,
+    reload: () => { loadRequests(); loadInvitations() },
+    loading, error, clearError,
+  }
+}
+
+// Messages of one accepted invitation, polled for new ones while open.
+export function useCompanionChat(uid, invitationId, { pollInterval = CHAT_POLL_MS } = {}) {
+  const { get, post, error } = useBackend()
+  const [messages, setMessages] = useState([])
+  const last = useRef(null)
+
+  const load = async () => {
+    if (!uid || !invitationId) return
+    const q = new URLSearchParams({ user_uid: uid, ...(last.current ? { after: last.current } : {}) })
+    try {
+      const data = await get(`/api/companions/invitations/${invitationId}/messages?${q}`, { key: `chat:${invitationId}` })
+      const fresh = data?.messages || []
+      if (!fresh.length) return
+      last.current = fresh[fresh.length - 1].created_at
+      // A message sent from here may already be listed ahead of older partner messages.
+      setMessages(list => [...list, ...fresh.filter(m => !list.some(x => idOf(x) === idOf(m)))]
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at)))
+    } catch {}
+  }
+
+  useEffect(() => {
+    setMessages([])
+    last.current = null
+    if (!uid || !invitationId) return
+    load()
+    const t = setInterval(load, pollInterval)
+    return () => clearInterval(t)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [uid, invitationId, pollInterval])
+
+  // The cursor is left alone: messages from the partner that arrived since
+  // the last poll come in with the next one, and ids keep the sent one unique.
+  const send = async (text) => {
+    const data = await post(`/api/companions/invitations/${invitationId}/messages`, { user_uid: uid, text })
+    const message = data?.message
+    if (message) setMessages(list => (list.some(x => idOf(x) === idOf(message)) ? list : [...list, message]))
+    else load()
+  }
+
+  return { messages, send, error }
+}
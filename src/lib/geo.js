@@ -0,0 +1,71 @@
+// Small geometry helpers for route tracking. Points are { lat, lon }; route
+// geometry from the backend is an array of [lat, lon] pairs.
+
+const R = 6371000
+const rad = (d) => d * Math.PI / 180
+
+export function haversine(a, b) {
+  const dLat = rad(b.lat - a.lat)
+  const dLon = rad(b.lon - a.lon)
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2
+  return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)))
+}
+
+export function bearing(a, b) {
+  const y = Math.sin(rad(b.lon - a.lon)) * Math.cos(rad(b.lat))
+  const x = Math.cos(rad(a.lat)) * Math.sin(rad(b.lat)) - Math.sin(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.cos(rad(b.lon - a.lon))
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360
+}
+
+export const toPoints = (coords = []) => coords.map(c => ({ lat: c[0], lon: c[1] }))
+
+export function cumulative(points) {
+  const out = [0]
+  for (let i = 1; i < points.length; i++) out.push(out[i - 1] + haversine(points[i - 1], points[i]))
+  return out
+}
+
+// Nearest point on the polyline to p. Uses a local equirectangular projection
+// per segment, which is accurate enough at street scale.
+// Returns { distance, along, index } where index is the segment start vertex.
+export function project(points, cum, p, { fromAlong = -Infinity } = {}) {
+  let best = { distance: Infinity, along: 0, index: 0 }
+  if (points.length === 1) return { distance: haversine(points[0], p), along: 0, index: 0 }
+  const k = Math.cos(rad(p.lat))
+  for (let i = 0; i < points.length - 1; i++) {
+    if (cum[i + 1] < fromAlong) continue
+    const a = points[i], b = points[i + 1]
+    const ax = a.lon * k, ay = a.lat, bx = b.lon * k, by = b.lat, px = p.lon * k, py = p.lat
+    const dx = bx - ax, dy = by - ay
+    const len2 = dx * dx + dy * dy
+    const t = len2 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2)) : 0
+    const q = { lat: a.lat + t * (b.lat - a.lat), lon: a.lon + t * (b.lon - a.lon) }
+    const d = haversine(q, p)
+    if (d < best.distance) best = { distance: d, along: cum[i] + t * (cum[i + 1] - cum[i]), index: i, point: q }
+  }
+  return best
+}
+
+export function distanceToRoute(points, p) {
+  return project(points, cumulative(points), p).distance
+}
+
+// Turn points derived from heading changes along the geometry, for when the
+// backend does not send its own instructions.
+export function maneuvers(points, cum = cumulative(points), minTurn = 30) {
+  const out = []
+  for (let i = 1; i < points.length - 1; i++) {
+    const delta = ((bearing(points[i], points[i + 1]) - bearing(points[i - 1], points[i]) + 540) % 360) - 180
+    const abs = Math.abs(delta)
+    if (abs < minTurn) continue
+    const side = delta > 0 ? 'right' : 'left'
+    const type = abs > 150 ? 'u-turn' : abs < 55 ? `slight ${side}` : `turn ${side}`
+    out.push({ index: i, along: cum[i], type, point: points[i] })
+  }
+  return out
+}
+
+export function formatDistance(m) {
+  if (m == null || !isFinite(m)) return '—'
+  return m >= 1000 ? `${(m / 1000).toFixed(2)} km` : `${Math.round(m)} m`
+}
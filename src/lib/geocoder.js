@@ -0,0 +1,129 @@
+import { createContext, useContext, useEffect, useState } from 'react'
+import { api } from './api'
+import { haversine } from './geo'
+
+// A geocoder is { search(query, { signal, near }) -> [{ label, lat, lon }],
+// reverse({ lat, lon }, { signal }) -> label | null }. Implementations below
+// can be swapped through <GeocoderContext.Provider>.
+
+export const formatCoords = (p, digits = 3) => (p && p.lat != null ? `${Number(p.lat).toFixed(digits)},${Number(p.lon).toFixed(digits)}` : '—')
+
+// Goes through our backend, which proxies a geocoding provider with its own key and rate limits.
+export function createBackendGeocoder(client = api) {
+  return {
+    async search(query, { signal, near } = {}) {
+      const q = new URLSearchParams({ q: query })
+      if (near) { q.set('lat', near.lat); q.set('lon', near.lon) }
+      const res = await client.get(`/api/geocode/search?${q}`, { signal, retries: 0 })
+      return (res?.results || []).map(r => ({ label: r.label || r.display_name, lat: Number(r.lat), lon: Number(r.lon) }))
+    },
+    async reverse({ lat, lon }, { signal } = {}) {
+      const res = await client.get(`/api/geocode/reverse?lat=${lat}&lon=${lon}`, { signal })
+      return res?.label || res?.display_name || null
+    },
+  }
+}
+
+// Direct OpenStreetMap Nominatim, for deployments without the backend proxy.
+// Their usage policy allows at most one request per second; withCache() spaces calls.
+export function createNominatimGeocoder({ baseUrl = 'https://nominatim.openstreetmap.org', fetch: fetchImpl = (...a) => globalThis.fetch(...a) } = {}) {
+  const getJson = async (url, signal) => {
+    const r = await fetchImpl(url, { signal, headers: { Accept: 'application/json' } })
+    if (!r.ok) throw new Error(`Geocoder failed with ${r.status}`)
+    return r.json()
+  }
+  return {
+    async search(query, { signal, near } = {}) {
+      const q = new URLSearchParams({ q: query, format: 'jsonv2', limit: '6' })
+      if (near) q.set('viewbox', [near.lon - 0.3, near.lat + 0.3, near.lon + 0.3, near.lat - 0.3].join(','))
+      const rows = await getJson(`${baseUrl}/search?${q}`, signal)
+      return rows.map(r => ({ label: r.display_name, lat: Number(r.lat), lon: Number(r.lon) }))
+    },
+    async reverse({ lat, lon }, { signal } = {}) {
+      const r = await getJson(`${baseUrl}/reverse?format=jsonv2&zoom=17&lat=${lat}&lon=${lon}`, signal)
+      return r?.display_name || null
+    },
+  }
+}
+
+// In-memory stand-in for tests and offline demos: substring search over a fixed
+// place list, reverse returns the nearest place within `radius` metres.
+export function createLocalGeocoder(places = [], { radius = 300 } = {}) {
+  return {
+    async search(query) {
+      const q = query.trim().toLowerCase()
+      return places.filter(p => p.label.toLowerCase().includes(q)).slice(0, 6)
+    },
+    async reverse(point) {
+      let best = null
+      for (const p of places) {
+        const d = haversine(p, point)
+        if (d <= radius && (!best || d < best.d)) best = { d, label: p.label }
+      }
+      return best?.label || null
+    },
+  }
+}
+
+// Memoises lookups (reverse keyed to ~10 m) and spaces out calls to the
+// underlying geocoder by `minIntervalMs`. Identical in-flight lookups share one request.
+export function withCache(geocoder, { size = 300, minIntervalMs = 0 } = {}) {
+  const cache = new Map()
+  let last = 0
+  let chain = Promise.resolve()
+
+  const remember = (key, value) => {
+    cache.delete(key)
+    cache.set(key, value)
+    if (cache.size > size) cache.delete(cache.keys().next().value)
+  }
+  const slot = () => {
+    const turn = chain.then(async () => {
+      const wait = last + minIntervalMs - Date.now()
+      if (wait > 0) await new Promise(r => setTimeout(r, wait))
+      last = Date.now()
+    })
+    chain = turn.catch(() => {})
+    return turn
+  }
+  const cached = (key, run) => {
+    if (cache.has(key)) {
+      const hit = cache.get(key)
+      remember(key, hit)
+      return hit
+    }
+    const p = slot().then(run)
+    remember(key, p)
+    // Failed lookups are not cached so they can be retried.
+    p.catch(() => cache.delete(key))
+    return p
+  }
+
+  return {
+    search: (query, opts = {}) => cached(`s:${query.trim().toLowerCase()}:${opts.near ? formatCoords(opts.near, 1) : ''}`, () => geocoder.search(query, opts)),
+    reverse: (point, opts = {}) => cached(`r:${formatCoords(point, 4)}`, () => geocoder.reverse(point, opts)),
+  }
+}
+
+export const defaultGeocoder = import.meta.env?.VITE_GEOCODER === 'nominatim'
+  ? withCache(createNominatimGeocoder(), { minIntervalMs: 1100 })
+  : withCache(createBackendGeocoder())
+
+export const GeocoderContext = createContext(defaultGeocoder)
+
+export const useGeocoder = () => useContext(GeocoderContext)
+
+// Human-readable label for a point, or null while unknown.
+export function useAddress(point) {
+  const geocoder = useGeocoder()
+  const [label, setLabel] = useState(null)
+  useEffect(() => {
+    setLabel(null)
+    if (!point || point.lat == null) return
+    let alive = true
+    geocoder.reverse(point).then(l => { if (alive) setLabel(l) }).catch(() => {})
+    return () => { alive = false }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [geocoder, point?.lat, point?.lon])
+  return label
+}
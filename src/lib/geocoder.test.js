@@ -0,0 +1,39 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createLocalGeocoder, withCache } from './geocoder'
+
+const places = [
+  { label: 'India Gate', lat: 28.6129, lon: 77.2295 },
+  { label: 'Connaught Place', lat: 28.6315, lon: 77.2167 },
+  { label: 'Gate of India Metro', lat: 28.62, lon: 77.24 },
+]
+
+describe('createLocalGeocoder', () => {
+  const geocoder = createLocalGeocoder(places)
+
+  it('finds places by case-insensitive substring', async () => {
+    expect((await geocoder.search('  GATE ')).map(p => p.label)).toEqual(['India Gate', 'Gate of India Metro'])
+    expect(await geocoder.search('nowhere')).toEqual([])
+  })
+
+  it('returns at most six results', async () => {
+    const many = createLocalGeocoder(Array.from({ length: 10 }, (_, i) => ({ label: `Stop ${i}`, lat: 0, lon: i })))
+    expect(await many.search('stop')).toHaveLength(6)
+  })
+
+  it('reverse-geocodes to the nearest place within the radius', async () => {
+    expect(await geocoder.reverse({ lat: 28.613, lon: 77.2296 })).toBe('India Gate')
+    expect(await geocoder.reverse({ lat: 28.7, lon: 77.3 })).toBe(null)
+    expect(await createLocalGeocoder(places, { radius: 5000 }).reverse({ lat: 28.65, lon: 77.2167 })).toBe('Connaught Place')
+  })
+})
+
+describe('withCache', () => {
+  it('serves repeated lookups from the cache', async () => {
+    const inner = createLocalGeocoder(places)
+    const search = vi.spyOn(inner, 'search')
+    const cached = withCache(inner)
+    await cached.search('gate')
+    expect(await cached.search(' Gate')).toHaveLength(2)
+    expect(search).toHaveBeenCalledTimes(1)
+  })
+})
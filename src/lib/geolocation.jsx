@@ -0,0 +1,119 @@
+import { createContext, useContext, useEffect, useState } from 'react'
+
+// A fix older than this is still shown but flagged, and callers that need a
+// live position (SOS, reports) are told so.
+export const STALE_MS = 2 * 60 * 1000
+
+// Wraps a navigator.geolocation-compatible provider and keeps the latest fix,
+// the permission state and an optional manual position picked on the map.
+export function createLocationService({ provider = typeof navigator !== 'undefined' ? navigator.geolocation : null, staleMs = STALE_MS } = {}) {
+  const listeners = new Set()
+  let watchId = null
+  let options = { enableHighAccuracy: true, maximumAge: 10000, timeout: 20000 }
+  let state = { fix: null, manual: null, status: provider ? 'idle' : 'unavailable', error: null }
+
+  const set = (patch) => {
+    state = { ...state, ...patch }
+    listeners.forEach(fn => fn(state))
+  }
+
+  const onFix = (p) => set({
+    status: 'watching',
+    error: null,
+    fix: { lat: p.coords.latitude, lon: p.coords.longitude, accuracy: p.coords.accuracy, heading: p.coords.heading, speed: p.coords.speed, timestamp: p.timestamp || Date.now() },
+  })
+  const onError = (e) => {
+    // PERMISSION_DENIED is 1 in the Geolocation API; the rest are transient.
+    if (e.code === 1) set({ status: 'denied', error: 'Location permission was denied.' })
+    else set({ status: state.fix ? 'watching' : 'error', error: e.message || 'Could not get a location fix.' })
+  }
+
+  const start = () => {
+    if (!provider || watchId != null) return
+    set({ status: state.fix ? 'watching' : 'locating' })
+    watchId = provider.watchPosition(onFix, onError, options)
+  }
+  const stop = () => {
+    if (watchId == null) return
+    provider.clearWatch(watchId)
+    watchId = null
+  }
+
+  return {
+    start,
+    stop,
+    getState: () => state,
+    // Restarts the watch with new options, e.g. coarser sampling in battery saver.
+    configure(next) {
+      options = { ...options, ...next }
+      if (watchId != null) { stop(); start() }
+    },
+    setManual(pos) { set({ manual: pos ? { lat: pos.lat, lon: pos.lon, accuracy: null, timestamp: Date.now(), manual: true } : null }) },
+    isStale: (fix = state.fix) => !fix || Date.now() - fix.timestamp > staleMs,
+    // Best known position: a fresh device fix, else a manual pick, else the last
+    // (stale) device fix. Null when nothing is known at all.
+    current() {
+      const { fix, manual } = state
+      if (fix && Date.now() - fix.timestamp <= staleMs) return fix
+      if (manual) return manual
+      return fix ? { ...fix, stale: true } : null
+    },
+    subscribe(fn) {
+      listeners.add(fn)
+      return () => listeners.delete(fn)
+    },
+  }
+}
+
+// Test double with the navigator.geolocation surface; drive it with emit()/deny().
+export function createMockProvider() {
+  const watchers = new Map()
+  let next = 1
+  return {
+    watchPosition(ok, fail) { const id = next++; watchers.set(id, { ok, fail }); return id },
+    clearWatch(id) { watchers.delete(id) },
+    getCurrentPosition(ok, fail) { const id = this.watchPosition(ok, fail); setTimeout(() => watchers.delete(id)) },
+    emit(lat, lon, { accuracy = 10, timestamp = Date.now(), heading = null, speed = null } = {}) {
+      watchers.forEach(w => w.ok({ coords: { latitude: lat, longitude: lon, accuracy, heading, speed }, timestamp }))
+    },
+    deny() { watchers.forEach(w => w.fail({ code: 1, message: 'User denied Geolocation' })) },
+    fail(message = 'Position unavailable') { watchers.forEach(w => w.fail({ code: 2, message })) },
+  }
+}
+
+export const locationService = createLocationService()
+
+const GeolocationContext = createContext(locationService)
+
+export function GeolocationProvider({ service = locationService, children }) {
+  useEffect(() => {
+    service.start()
+    return () => service.stop()
+  }, [service])
+  return <GeolocationContext.Provider value={service}>{children}</GeolocationContext.Provider>
+}
+
+// The service alone, for callers that configure it but don't render fixes.
+export const useLocationService = () => useContext(GeolocationContext)
+
+export function useGeolocation() {
+  const service = useContext(GeolocationContext)
+  const [state, setState] = useState(service.getState())
+  const [, tick] = useState(0)
+
+  useEffect(() => service.subscribe(setState), [service])
+  // Re-render periodically so staleness is re-evaluated without new fixes.
+  useEffect(() => {
+    const t = setInterval(() => tick(n => n + 1), 30000)
+    return () => clearInterval(t)
+  }, [])
+
+  const position = service.current()
+  return {
+    ...state,
+    position,
+    stale: !position || !!position.stale,
+    setManual: service.setManual,
+    service,
+  }
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { createLocationService, createMockProvider, STALE_MS } from './geolocation'
+
+const setup = () => {
+  const provider = createMockProvider()
+  const service = createLocationService({ provider })
+  service.start()
+  return { provider, service }
+}
+
+afterEach(() => vi.useRealTimers())
+
+describe('createLocationService with the mock provider', () => {
+  it('reports each emitted fix to subscribers', () => {
+    const { provider, service } = setup()
+    expect(service.getState().status).toBe('locating')
+    const seen = []
+    service.subscribe(s => seen.push(s.fix))
+    provider.emit(28.6, 77.2, { accuracy: 15, timestamp: Date.now() })
+    provider.emit(28.61, 77.21, { heading: 90, speed: 1.4 })
+    expect(seen.map(f => [f.lat, f.lon])).toEqual([[28.6, 77.2], [28.61, 77.21]])
+    expect(service.current()).toMatchObject({ lat: 28.61, lon: 77.21, heading: 90, speed: 1.4, accuracy: 10 })
+    expect(service.getState().status).toBe('watching')
+  })
+
+  it('stops receiving fixes after stop()', () => {
+    const { provider, service } = setup()
+    provider.emit(1, 2)
+    service.stop()
+    provider.emit(3, 4)
+    expect(service.current()).toMatchObject({ lat: 1, lon: 2 })
+  })
+
+  it('marks old fixes stale and prefers a manual pick over them', () => {
+    vi.useFakeTimers()
+    const { provider, service } = setup()
+    provider.emit(1, 2)
+    expect(service.isStale()).toBe(false)
+    vi.advanceTimersByTime(STALE_MS + 1)
+    expect(service.current()).toMatchObject({ lat: 1, lon: 2, stale: true })
+    service.setManual({ lat: 5, lon: 6 })
+    expect(service.current()).toMatchObject({ lat: 5, lon: 6, manual: true })
+    provider.emit(7, 8)
+    expect(service.current()).toMatchObject({ lat: 7, lon: 8 })
+  })
+
+  it('keeps the last fix through transient errors and flags a denial', () => {
+    const { provider, service } = setup()
+    provider.fail()
+    expect(service.getState()).toMatchObject({ status: 'error', error: 'Position unavailable' })
+    provider.emit(1, 2)
+    provider.fail('Timeout')
+    expect(service.getState()).toMatchObject({ status: 'watching', error: 'Timeout' })
+    provider.deny()
+    expect(service.getState()).toMatchObject({ status: 'denied', error: 'Location permission was denied.' })
+  })
+})
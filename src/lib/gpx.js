@@ -0,0 +1,53 @@
+// Minimal GPX 1.1 reading and writing. Points are { lat, lon, name? }.
+
+const esc = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+
+const pt = (tag, p, indent) => `${indent}<${tag} lat="${Number(p.lat).toFixed(6)}" lon="${Number(p.lon).toFixed(6)}">${p.name ? `<name>${esc(p.name)}</name>` : ''}</${tag}>`
+
+// `extensions` is a flat object written as <sr:key>value</sr:key>.
+const ext = (extensions, indent) => {
+  const entries = Object.entries(extensions || {}).filter(([, v]) => v != null && v !== '')
+  if (!entries.length) return ''
+  return `${indent}<extensions>${entries.map(([k, v]) => `<sr:${k}>${esc(Array.isArray(v) ? v.join(',') : v)}</sr:${k}>`).join('')}</extensions>\n`
+}
+
+// routes: [{ name, desc, points, extensions }] as <rte>; tracks the same as <trk>.
+export function toGpx({ name, routes = [], tracks = [] }) {
+  const body = [
+    ...routes.map(r => `  <rte>\n    <name>${esc(r.name || 'Route')}</name>\n${r.desc ? `    <desc>${esc(r.desc)}</desc>\n` : ''}${ext(r.extensions, '    ')}${r.points.map(p => pt('rtept', p, '    ')).join('\n')}\n  </rte>`),
+    ...tracks.map(t => `  <trk>\n    <name>${esc(t.name || 'Track')}</name>\n${t.desc ? `    <desc>${esc(t.desc)}</desc>\n` : ''}${ext(t.extensions, '    ')}    <trkseg>\n${t.points.map(p => pt('trkpt', p, '      ')).join('\n')}\n    </trkseg>\n  </trk>`),
+  ]
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="SafeRoutes" xmlns="http://www.topografix.com/GPX/1/1" xmlns:sr="https://saferoutes.app/gpx/1">
+  <metadata><name>${esc(name || 'SafeRoutes export')}</name><time>${new Date().toISOString()}</time></metadata>
+${body.join('\n')}
+</gpx>
+`
+}
+
+const text = (el, tag) => el.getElementsByTagName(tag)[0]?.textContent?.trim() || ''
+
+const points = (el, tag) => Array.from(el.getElementsByTagName(tag)).map(p => ({
+  lat: parseFloat(p.getAttribute('lat')),
+  lon: parseFloat(p.getAttribute('lon')),
+  ...(text(p, 'name') ? { name: text(p, 'name') } : {}),
+})).filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lon))
+
+const extensions = (el) => {
+  const node = Array.from(el.children).find(c => c.localName === 'extensions')
+  if (!node) return {}
+  return Object.fromEntries(Array.from(node.children).map(c => [c.localName, c.textContent]))
+}
+
+// { routes, tracks, waypoints }; routes/tracks are [{ name, desc, points, extensions }].
+// Throws if the text is not GPX.
+export function parseGpx(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length || doc.documentElement.localName !== 'gpx') throw new Error('Not a GPX file')
+  const item = (el, tag) => ({ name: text(el, 'name'), desc: text(el, 'desc'), points: points(el, tag), extensions: extensions(el) })
+  return {
+    routes: Array.from(doc.getElementsByTagName('rte')).map(r => item(r, 'rtept')),
+    tracks: Array.from(doc.getElementsByTagName('trk')).map(t => item(t, 'trkpt')),
+    waypoints: points(doc.documentElement, 'wpt'),
+  }
+}
@@ -0,0 +1,145 @@
+import { useEffect, useRef, useState } from 'react'
+import { useBackend } from './api'
+
+export const CHANNELS = [
+  { value: 'push', label: 'App' },
+  { value: 'sms', label: 'SMS' },
+  { value: 'call', label: 'Call' },
+  { value: 'email', label: 'Email' },
+]
+
+export const SNOOZE_OPTIONS = [10, 15, 30]
+
+// While a check-in is pending the server is kept up to date with the last
+// known position, so the alert it sends on expiry is current.
+export const CHECKIN_LOCATION_MS = 60000
+
+const idOf = (x) => x._id || x.id
+export const guardianId = idOf
+
+const byOrder = (list) => list.slice().sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+
+// The user's guardian contacts, in escalation order (first is alerted first).
+export function useGuardians(uid) {
+  const { get, post, patch, put, del, loading, error, clearError } = useBackend()
+  const [guardians, setGuardians] = useState([])
+
+  const load = async () => {
+    if (!uid) return
+    try {
+      const data = await get(`/api/guardians?user_uid=${encodeURIComponent(uid)}`, { key: 'guardians' })
+      setGuardians(byOrder(data?.guardians || []))
+    } catch {}
+  }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  useEffect(() => { load() }, [uid])
+
+  const replace = (g) => setGuardians(list => list.map(x => (guardianId(x) === guardianId(g) ? { ...x, ...g } : x)))
+
+  // New contacts start unverified; the backend texts/emails them a code.
+  const add = async ({ name, phone, email, channels }) => {
+    const data = await post('/api/guardians', { user_uid: uid, name, phone, email, channels, order: guardians.length })
+    if (data?.guardian) setGuardians(list => [...list, data.guardian])
+    return data?.guardian
+  }
+
+  const verify = async (g, code) => {
+    const data = await post(`/api/guardians/${guardianId(g)}/verify`, { code })
+    replace(data?.guardian || { ...g, verified: true })
+  }
+
+  const resend = (g) => post(`/api/guardians/${guardianId(g)}/resend`, {})
+
+  const setChannels = async (g, channels) => {
+    replace({ ...g, channels })
+    try {
+      await patch(`/api/guardians/${guardianId(g)}`, { channels })
+    } catch {
+      replace(g)
+    }
+  }
+
+  const move = async (index, delta) => {
+    const to = index + delta
+    if (to < 0 || to >= guardians.length) return
+    const previous = guardians
+    const next = guardians.slice()
+    const [item] = next.splice(index, 1)
+    next.splice(to, 0, item)
+    setGuardians(next.map((g, i) => ({ ...g, order: i })))
+    try {
+      await put('/api/guardians/order', { user_uid: uid, ids: next.map(guardianId) })
+    } catch {
+      setGuardians(previous)
+    }
+  }
+
+  const remove = async (g) => {
+    await del(`/api/guardians/${guardianId(g)}`)
+    setGuardians(list => list.filter(x => guardianId(x) !== guardianId(g)))
+  }
+
+  return { guardians, add, verify, resend, setChannels, move, remove, reload: load, loading, error, clearError }
+}
+
+// "Alert my guardians if I haven't checked in by …". The deadline is enforced
+// by the server so it fires even if this device is off; this hook creates,
+// snoozes, cancels and completes check-ins and streams the last location.
+export function useCheckIns(uid, position, { locationInterval = CHECKIN_LOCATION_MS } = {}) {
+  const { get, post, loading, error, clearError } = useBackend()
+  const [checkIns, setCheckIns] = useState([])
+  const positionRef = useRef(position)
+  positionRef.current = position
+
+  const where = () => {
+    const p = positionRef.current
+    return p ? { location: { lat: p.lat, lon: p.lon, accuracy: p.accuracy ?? null, at: new Date(p.timestamp || Date.now()).toISOString() } } : {}
+  }
+
+  const load = async () => {
+    if (!uid) return
+    try {
+      const data = await get(`/api/checkins?user_uid=${encodeURIComponent(uid)}&status=pending`, { key: 'checkins' })
+      setCheckIns(data?.checkins || [])
+    } catch {}
+  }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  useEffect(() => { load() }, [uid])
+
+  const upsert = (c) => setCheckIns(list => (list.some(x => idOf(x) === idOf(c)) ? list.map(x => (idOf(x) === idOf(c) ? c : x)) : [...list, c]))
+  const drop = (c) => setCheckIns(list => list.filter(x => idOf(x) !== idOf(c)))
+
+  const schedule = async (dueAt, message) => {
+    const data = await post('/api/checkins', { user_uid: uid, due_at: dueAt.toISOString(), message, ...where() })
+    if (data?.checkin) upsert(data.checkin)
+    return data?.checkin
+  }
+
+  const snooze = async (c, minutes) => {
+    const data = await post(`/api/checkins/${idOf(c)}/snooze`, { minutes, ...where() })
+    upsert(data?.checkin || { ...c, due_at: new Date(new Date(c.due_at).getTime() + minutes * 60000).toISOString() })
+  }
+
+  // "I'm safe" and "never mind" both stop the timer; guardians only hear about the first.
+  const complete = async (c) => {
+    await post(`/api/checkins/${idOf(c)}/complete`, where())
+    drop(c)
+  }
+  const cancel = async (c) => {
+    await post(`/api/checkins/${idOf(c)}/cancel`, {})
+    drop(c)
+  }
+
+  const pending = checkIns.length > 0
+  useEffect(() => {
+    if (!pending) return
+    const t = setInterval(() => {
+      if (!positionRef.current) return
+      checkIns.forEach(c => post(`/api/checkins/${idOf(c)}/location`, where(), { key: `checkin-loc:${idOf(c)}` }).catch(() => {}))
+    }, locationInterval)
+    return () => clearInterval(t)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [pending, checkIns, locationInterval])
+
+  return { checkIns, schedule, snooze, complete, cancel, reload: load, loading, error, clearError }
+}
@@ -0,0 +1,35 @@
+export const MAX_PHOTOS = 3
+export const MAX_INPUT_BYTES = 20 * 1024 * 1024
+
+async function decode(file) {
+  if (typeof createImageBitmap === 'function') {
+    // Applies the EXIF orientation so the pixels are upright before the tag is dropped.
+    return createImageBitmap(file, { imageOrientation: 'from-image' })
+  }
+  const url = URL.createObjectURL(file)
+  try {
+    const img = new Image()
+    img.src = url
+    await img.decode()
+    return img
+  } finally {
+    URL.revokeObjectURL(url)
+  }
+}
+
+// Downscales and re-encodes a photo as JPEG. Re-encoding through a canvas
+// writes fresh pixels only, so EXIF metadata (including GPS coordinates,
+// camera serials and timestamps) never leaves the device.
+export async function compressImage(file, { maxDim = 1600, quality = 0.8 } = {}) {
+  if (!file.type.startsWith('image/')) throw new Error(`${file.name} is not an image`)
+  if (file.size > MAX_INPUT_BYTES) throw new Error(`${file.name} is larger than 20 MB`)
+  const src = await decode(file)
+  const scale = Math.min(1, maxDim / Math.max(src.width, src.height))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(src.width * scale)
+  canvas.height = Math.round(src.height * scale)
+  canvas.getContext('2d').drawImage(src, 0, 0, canvas.width, canvas.height)
+  src.close?.()
+  const blob = await new Promise((resolve, reject) => canvas.toBlob(b => (b ? resolve(b) : reject(new Error('Could not encode image'))), 'image/jpeg', quality))
+  return { blob, name: file.name.replace(/\.[^.]+$/, '') + '.jpg', width: canvas.width, height: canvas.height }
+}
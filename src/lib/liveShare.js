@@ -0,0 +1,165 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { createApiClient, useBackend } from './api'
+import { createTracker } from './navigation'
+
+const STORAGE_KEY = 'sr_live_share'
+
+export const SHARE_DURATIONS = [
+  { value: 30, label: '30 min' },
+  { value: 60, label: '1 hour' },
+  { value: 120, label: '2 hours' },
+  { value: 240, label: '4 hours' },
+]
+
+// How often the sharer pushes a position, and the public page polls for it.
+export const PUSH_INTERVAL_MS = 15000
+export const POLL_INTERVAL_MS = 10000
+
+// Terminal states of a share session as reported by the backend.
+export const SHARE_ENDED = {
+  arrived: 'Arrived safely',
+  revoked: 'Sharing was stopped',
+  expired: 'This link has expired',
+}
+
+// The tracking page is public: no session headers and no refresh on 401.
+export const publicApi = createApiClient({ retries: 2 })
+
+export const shareUrl = (token) => `${window.location.origin}/track/${encodeURIComponent(token)}`
+
+const loadSession = () => {
+  try {
+    const s = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null')
+    return s && new Date(s.expires_at) > new Date() ? s : null
+  } catch {
+    return null
+  }
+}
+const saveSession = (s) => {
+  try {
+    if (s) localStorage.setItem(STORAGE_KEY, JSON.stringify(s))
+    else localStorage.removeItem(STORAGE_KEY)
+  } catch {}
+}
+
+// The sharer's side: one active session at a time, kept across reloads, that
+// pushes position/ETA/battery while it lasts. `route` is the trip being
+// travelled, if any, so the viewer can see the plan and a live ETA.
+export function useLiveShare({ uid, route, position, battery, interval = PUSH_INTERVAL_MS }) {
+  const { post, loading, error, clearError } = useBackend()
+  const [session, setSession] = useState(loadSession)
+  const tracker = useMemo(() => createTracker(route), [route])
+  const latest = useRef(null)
+  const sentRoute = useRef(null)
+
+  const routePayload = () => (route ? {
+    route_id: route.route_id || null,
+    geometry: route.geometry,
+    eta_minutes: route.eta_minutes,
+    distance_m: route.distance_m,
+    average_safety_score: route.average_safety_score,
+    ...(route.segments ? { segments: route.segments } : {}),
+  } : null)
+
+  // Position/ETA/battery, plus the route whenever it changed since the last push (re-plans).
+  const snapshot = () => {
+    const progress = route ? tracker.update(position) : null
+    const routeChanged = sentRoute.current !== route
+    return {
+      ...(routeChanged ? { route: routePayload() } : {}),
+      location: position ? { lat: position.lat, lon: position.lon, accuracy: position.accuracy ?? null } : null,
+      eta_minutes: progress ? Number(progress.eta_minutes.toFixed(1)) : route?.eta_minutes ?? null,
+      remaining_m: progress ? Math.round(progress.remaining_m) : null,
+      battery_level: battery ?? null,
+      sent_at: new Date().toISOString(),
+    }
+  }
+
+  // Posts a snapshot. The route only counts as sent once the server has it, so
+  // a failed push after a re-plan sends it again next time.
+  const sendSnapshot = async (path, extra, opts) => {
+    const sending = route
+    const res = await post(path, { ...extra, ...snapshot() }, opts)
+    sentRoute.current = sending
+    return res
+  }
+  latest.current = sendSnapshot
+
+  const update = (patch) => setSession(s => {
+    const next = patch && s ? { ...s, ...patch } : patch
+    saveSession(next)
+    return next
+  })
+
+  const start = async (minutes) => {
+    const data = await sendSnapshot('/api/share/sessions', {
+      user_uid: uid,
+      expires_in_minutes: minutes,
+    })
+    update({ token: data.token, expires_at: data.expires_at || new Date(Date.now() + minutes * 60000).toISOString(), started_at: new Date().toISOString(), status: 'active' })
+    return data
+  }
+
+  // Ends the session either as revoked or as "arrived safely". The session is
+  // only dropped once the server confirms, so a failed request never leaves
+  // the link live while the UI says sharing stopped.
+  const end = async (status) => {
+    if (!session) return
+    try {
+      await sendSnapshot(`/api/share/sessions/${encodeURIComponent(session.token)}/end`, { status })
+    } catch (err) {
+      // Already gone on the server (expired, or ended on another device).
+      if (err?.status !== 404 && err?.status !== 410) throw err
+    }
+    update(null)
+  }
+
+  const active = !!session && session.status === 'active'
+
+  useEffect(() => {
+    if (!active) return
+    const push = () => {
+      if (new Date(session.expires_at) <= new Date()) { update(null); return }
+      latest.current(`/api/share/sessions/${encodeURIComponent(session.token)}/update`, {}, { key: 'share-update' })
+        .then(res => {
+          // The server reports sessions that ended elsewhere (revoked from another device, expired).
+          if (res?.status && res.status !== 'active') update(null)
+        })
+        .catch(() => {})
+    }
+    push()
+    const t = setInterval(push, interval)
+    return () => clearInterval(t)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [active, session?.token, interval])
+
+  return {
+    session,
+    url: session ? shareUrl(session.token) : null,
+    start,
+    revoke: () => end('revoked'),
+    arrived: () => end('arrived'),
+    loading,
+    error,
+    clearError,
+  }
+}
+
+// The viewer's side: polls the public session until it reaches an end state.
+export function useSharedLocation(token, { interval = POLL_INTERVAL_MS } = {}) {
+  const { get, error, loading } = useBackend(publicApi)
+  const [data, setData] = useState(null)
+  // Unknown or purged tokens stop polling too.
+  const ended = (!!data && data.status !== 'active') || error?.status === 404 || error?.status === 410
+
+  useEffect(() => {
+    if (ended) return
+    const load = () => get(`/api/share/${encodeURIComponent(token)}`, { key: 'track' }).then(setData).catch(() => {})
+    load()
+    const t = setInterval(load, interval)
+    return () => clearInterval(t)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token, interval, ended])
+
+  return { data, error, loading }
+}
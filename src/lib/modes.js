@@ -0,0 +1,22 @@
+import { profileMode } from './profiles'
+
+// Built-in routing modes understood by /api/routes/plan, with the colour used
+// when several are drawn on one map.
+export const MODES = [
+  { value: 'fastest', label: 'Fastest', color: '#2563eb' },
+  { value: 'safest', label: 'Safest', color: '#16a34a' },
+  { value: 'balanced', label: 'Balanced', color: '#0891b2' },
+  { value: 'night_safe', label: 'Night safe', color: '#7c3aed' },
+  { value: 'female_friendly', label: 'Female friendly', color: '#db2777' },
+]
+
+const PROFILE_COLOR = '#ea580c'
+
+// `profiles` resolves 'profile:<id>' modes to the user's own profile names.
+export const modeOf = (value, profiles = []) => {
+  const builtIn = MODES.find(m => m.value === value)
+  if (builtIn) return builtIn
+  const p = profiles.find(x => profileMode(x) === value)
+  if (p) return { value, label: p.name, color: PROFILE_COLOR, profile: p }
+  return { value, label: String(value).replace(/_/g, ' '), color: '#6b7280' }
+}
@@ -0,0 +1,84 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { toPoints, cumulative, project, maneuvers } from './geo'
+
+export const OFF_ROUTE_M = 40
+export const ARRIVE_M = 30
+const OFF_ROUTE_SAMPLES = 3
+const REPLAN_COOLDOWN_MS = 20000
+
+// Pure progress tracker for one route geometry; fed position samples in order.
+export function createTracker(route) {
+  const points = toPoints(route?.geometry?.coordinates)
+  const cum = cumulative(points)
+  const total = cum[cum.length - 1] || 0
+  const turns = maneuvers(points, cum)
+  // Seconds per metre from the planner's own ETA, so updated ETAs stay consistent with it.
+  const pace = total && route?.eta_minutes ? (route.eta_minutes * 60) / total : 0.8
+  let lastAlong = 0
+
+  return {
+    points,
+    total,
+    update(position) {
+      if (!points.length || !position) return null
+      // Allow a little backtracking but do not snap to an earlier pass of a looping route.
+      const hit = project(points, cum, position, { fromAlong: lastAlong - 100 })
+      // GPS error counts in the user's favour before calling it a deviation.
+      const slack = Math.max(OFF_ROUTE_M, (position.accuracy || 0) * 1.5)
+      const onRoute = hit.distance <= slack
+      if (onRoute) lastAlong = Math.max(lastAlong, hit.along)
+      const along = lastAlong
+      const remaining = Math.max(0, total - along)
+      const next = turns.find(t => t.along > along + 5)
+      return {
+        along,
+        remaining_m: remaining,
+        fraction: total ? along / total : 0,
+        eta_minutes: (remaining * pace) / 60,
+        off_route_m: hit.distance,
+        off_route: !onRoute,
+        next_turn: next ? { type: next.type, in_m: next.along - along } : null,
+        arrived: remaining <= ARRIVE_M,
+      }
+    },
+  }
+}
+
+// Follows `position` along `route` while `active`. Calls onOffRoute after
+// several consecutive off-route samples (rate limited) and onArrive once.
+export function useNavigation(route, position, { active, onOffRoute, onArrive }) {
+  const tracker = useMemo(() => createTracker(route), [route])
+  const [progress, setProgress] = useState(null)
+  const offCount = useRef(0)
+  const lastReplan = useRef(0)
+  const arrived = useRef(false)
+  const handlers = useRef({ onOffRoute, onArrive })
+  handlers.current = { onOffRoute, onArrive }
+
+  useEffect(() => {
+    offCount.current = 0
+    arrived.current = false
+    setProgress(null)
+  }, [tracker, active])
+
+  useEffect(() => {
+    if (!active || !position) return
+    const p = tracker.update(position)
+    if (!p) return
+    setProgress(p)
+    offCount.current = p.off_route ? offCount.current + 1 : 0
+    if (offCount.current >= OFF_ROUTE_SAMPLES && Date.now() - lastReplan.current > REPLAN_COOLDOWN_MS) {
+      lastReplan.current = Date.now()
+      offCount.current = 0
+      handlers.current.onOffRoute?.(position, p)
+    }
+    if (p.arrived && !arrived.current) {
+      arrived.current = true
+      handlers.current.onArrive?.(p)
+    }
+    // Keyed on the fix itself: `position` may be a fresh object for the same sample.
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tracker, active, position?.lat, position?.lon, position?.timestamp])
+
+  return progress
+}
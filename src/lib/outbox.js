@@ -0,0 +1,203 @@
+import { useCallback, useEffect, useState } from 'react'
+import { api, ApiError } from './api'
+import { session } from './session'
+
+// Persistent queue for writes that must survive being offline (trips, reports,
+// SOS, guardian notifications). Entries are replayed lowest priority value
+// first, then in the order they were queued. Entries belong to the account
+// that queued them and are only sent while that account is signed in, so a
+// queue left behind at logout is never replayed under someone else's token.
+export const PRIORITY = { SOS: 0, GUARDIAN: 1, DEFAULT: 2 }
+
+const DB_NAME = 'saferoutes'
+const STORE = 'outbox'
+export const RETRY_MS = 15000
+
+const uid = () => (globalThis.crypto?.randomUUID ? crypto.randomUUID() : `${Date.now()}_${Math.random().toString(36).slice(2)}`)
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1)
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id' })
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+// IndexedDB when the browser has it, otherwise a Map so the queue still works
+// for the lifetime of the page (private mode, tests).
+function createStore() {
+  if (typeof indexedDB === 'undefined') {
+    const mem = new Map()
+    return {
+      all: async () => [...mem.values()],
+      put: async (item) => { mem.set(item.id, item) },
+      remove: async (id) => { mem.delete(id) },
+    }
+  }
+  let dbp
+  const tx = async (mode, fn) => {
+    dbp = dbp || openDb()
+    const db = await dbp
+    return new Promise((resolve, reject) => {
+      const t = db.transaction(STORE, mode)
+      const req = fn(t.objectStore(STORE))
+      t.oncomplete = () => resolve(req?.result)
+      t.onerror = () => reject(t.error)
+    })
+  }
+  return {
+    all: () => tx('readonly', s => s.getAll()),
+    put: (item) => tx('readwrite', s => s.put(item)),
+    remove: (id) => tx('readwrite', s => s.delete(id)),
+  }
+}
+
+// Multipart bodies are kept as { fields, files: [{ field, blob, name }] } because
+// FormData cannot be stored in IndexedDB, while Blobs can.
+export function toFormData({ fields = {}, files = [] }) {
+  const form = new FormData()
+  Object.entries(fields).forEach(([k, v]) => {
+    if (v != null) form.append(k, typeof v === 'object' ? JSON.stringify(v) : String(v))
+  })
+  files.forEach(f => form.append(f.field, f.blob, f.name))
+  return form
+}
+
+const signedInUid = () => session.get()?.user?.uid || null
+
+export function createOutbox({ client = api, store = createStore(), owner = signedInUid } = {}) {
+  const listeners = new Set()
+  let seq = 0
+  let flushing = null
+  let counts = { pending: 0, failed: 0, error: null }
+
+  // Entries from before ownership was recorded go with whoever is signed in.
+  const mine = (item) => !item.owner || item.owner === owner()
+  const sorted = async () => (await store.all()).filter(mine).sort((a, b) => a.priority - b.priority || a.seq - b.seq)
+
+  const notify = async () => {
+    const items = await sorted()
+    counts = {
+      pending: items.filter(i => i.status === 'pending').length,
+      failed: items.filter(i => i.status === 'failed').length,
+      error: null,
+    }
+    listeners.forEach(fn => fn(counts, items))
+  }
+
+  const enqueue = async (path, body, { priority = PRIORITY.DEFAULT, dedupKey = uid(), multipart = false } = {}) => {
+    const existing = (await store.all()).find(i => i.id === dedupKey)
+    if (existing) return existing
+    const item = { id: dedupKey, owner: owner(), path, body, multipart, priority, seq: Date.now() * 1000 + (seq++ % 1000), status: 'pending', attempts: 0, lastError: null }
+    await store.put(item)
+    await notify()
+    return item
+  }
+
+  const post = (path, body, { dedupKey, multipart, onProgress }) => {
+    if (!multipart) return client.post(path, body, { headers: { 'Idempotency-Key': dedupKey } })
+    const form = toFormData(body)
+    form.append('idempotency_key', dedupKey)
+    return client.upload(path, form, { onProgress })
+  }
+  const sendOne = (item) => post(item.path, item.body, { dedupKey: item.id, multipart: item.multipart })
+
+  const flush = () => {
+    if (flushing) return flushing
+    flushing = (async () => {
+      let touched = false
+      for (const item of await sorted()) {
+        if (item.status !== 'pending') continue
+        // Signed out (or in as someone else) while flushing.
+        if (!mine(item)) break
+        touched = true
+        try {
+          await sendOne(item)
+          await store.remove(item.id)
+        } catch (e) {
+          const retryable = !(e instanceof ApiError) || e.retryable
+          await store.put({ ...item, attempts: item.attempts + 1, lastError: e.message, status: retryable ? 'pending' : 'failed' })
+          // Still offline: stop here so later entries are not sent ahead of this one.
+          if (retryable) break
+        }
+      }
+      if (touched) await notify()
+    })().finally(() => { flushing = null })
+    return flushing
+  }
+
+  // Sends immediately when possible; queues when the network is down or when
+  // earlier entries of the same or higher priority are still waiting, so
+  // replay order is preserved. Resolves to the server response or { queued }.
+  const send = async (path, body, { priority = PRIORITY.DEFAULT, dedupKey = uid(), multipart = false, onProgress } = {}) => {
+    const waiting = (await sorted()).some(i => i.status === 'pending' && i.priority <= priority)
+    const online = typeof navigator === 'undefined' || navigator.onLine !== false
+    if (online && !waiting) {
+      try {
+        return await post(path, body, { dedupKey, multipart, onProgress })
+      } catch (e) {
+        if (e instanceof ApiError && !e.retryable) throw e
+      }
+    }
+    const item = await enqueue(path, body, { priority, dedupKey, multipart })
+    if (online) sync()
+    return { queued: true, id: item.id }
+  }
+
+  const retryFailed = async () => {
+    for (const item of await sorted()) {
+      if (item.status === 'failed') await store.put({ ...item, status: 'pending' })
+    }
+    await notify()
+    return flush()
+  }
+
+  const discardFailed = async () => {
+    for (const item of await sorted()) {
+      if (item.status === 'failed') await store.remove(item.id)
+    }
+    return notify()
+  }
+
+  const subscribe = (fn) => {
+    listeners.add(fn)
+    fn(counts, [])
+    return () => listeners.delete(fn)
+  }
+
+  // For timers and event handlers: a queue that cannot be read (IndexedDB
+  // blocked or unavailable) shows up as `error` instead of a rejection.
+  const sync = () => notify().then(flush).catch(e => {
+    counts = { ...counts, error: e?.message || 'Offline queue unavailable' }
+    listeners.forEach(fn => fn(counts, []))
+  })
+
+  return { send, enqueue, flush, sync, retryFailed, discardFailed, subscribe, refresh: notify }
+}
+
+export const outbox = createOutbox()
+
+let flushTimer = null
+
+// How often the shared outbox retries while online (Battery Saver slows it down).
+export function setFlushInterval(ms) {
+  if (typeof window === 'undefined') return
+  clearInterval(flushTimer)
+  flushTimer = setInterval(() => { if (navigator.onLine !== false) outbox.sync() }, ms)
+}
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => outbox.sync())
+  setFlushInterval(RETRY_MS)
+  outbox.sync()
+  // Signing in or out changes whose entries are shown and sent.
+  session.subscribe(() => outbox.sync())
+}
+
+export function useOutbox(box = outbox) {
+  const [counts, setCounts] = useState({ pending: 0, failed: 0, error: null })
+  useEffect(() => box.subscribe(setCounts), [box])
+  const send = useCallback((path, body, opts) => box.send(path, body, opts), [box])
+  return { ...counts, send, flush: box.flush, retryFailed: box.retryFailed, discardFailed: box.discardFailed }
+}
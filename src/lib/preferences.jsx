@@ -0,0 +1,91 @@
+import { createContext, useContext, useEffect, useMemo, useState } from 'react'
+import { useLocationService } from './geolocation'
+import { setFlushInterval, RETRY_MS } from './outbox'
+import { useBattery, useLowBattery, REARM_MARGIN } from './battery'
+
+const STORAGE_KEY = 'sr_prefs'
+// saverAuto: Battery Saver was switched on by a low battery, not by the user.
+// autoSaverLevel / lowBatteryLevel: percentages, 0 turns the behaviour off.
+const DEFAULTS = { night: false, women: false, saver: false, saverAuto: false, autoSaverLevel: 20, lowBatteryLevel: 10 }
+
+// Guardian position updates while a trip is active: more often under
+// NightShield, less often in Battery Saver.
+const GUARDIAN_UPDATE_MS = 10 * 60 * 1000
+const NIGHT_GUARDIAN_UPDATE_MS = 3 * 60 * 1000
+const SAVER_FACTOR = 3
+
+// watchPosition options per mode; the saver trades accuracy for fewer GPS wake-ups.
+const LOCATION_OPTIONS = { enableHighAccuracy: true, maximumAge: 10000 }
+const SAVER_LOCATION_OPTIONS = { enableHighAccuracy: false, maximumAge: 60000 }
+
+// Alert categories kept when Women Safety mode filters Smart Alerts.
+export const WOMEN_ALERT_CATEGORIES = ['harassment', 'suspicious_activity', 'dark_spot', 'poor_lighting', 'isolated']
+
+const load = () => {
+  try {
+    return { ...DEFAULTS, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') }
+  } catch {
+    return DEFAULTS
+  }
+}
+
+// Outside a provider (login, moderation) everything is off.
+const PreferencesContext = createContext({
+  ...DEFAULTS,
+  setNight: () => {},
+  setWomen: () => {},
+  setSaver: () => {},
+  setBatteryLevels: () => {},
+  interval: (ms) => ms,
+  guardianUpdateMs: GUARDIAN_UPDATE_MS,
+})
+
+// The app-wide NightShield, Women Safety and Battery Saver modes.
+export function PreferencesProvider({ children }) {
+  const [prefs, setPrefs] = useState(load)
+  const location = useLocationService()
+  const battery = useBattery()
+  const { night, women, saver, saverAuto, autoSaverLevel, lowBatteryLevel } = prefs
+
+  useEffect(() => {
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(prefs)) } catch {}
+  }, [prefs])
+
+  useEffect(() => {
+    document.documentElement.classList.toggle('dark', night)
+    document.documentElement.classList.toggle('saver', saver)
+  }, [night, saver])
+
+  useEffect(() => {
+    location.configure(saver ? SAVER_LOCATION_OPTIONS : LOCATION_OPTIONS)
+    setFlushInterval(saver ? RETRY_MS * SAVER_FACTOR : RETRY_MS)
+  }, [saver, location])
+
+  // Low battery turns Battery Saver on; charging or recovering turns it back
+  // off, but only if it was switched on automatically.
+  useLowBattery(battery, autoSaverLevel, () => setPrefs(p => (p.saver ? p : { ...p, saver: true, saverAuto: true })))
+  useEffect(() => {
+    if (!saverAuto || battery.level == null) return
+    if (battery.charging || battery.level > autoSaverLevel + REARM_MARGIN) setPrefs(p => ({ ...p, saver: false, saverAuto: false }))
+  }, [saverAuto, battery.level, battery.charging, autoSaverLevel])
+
+  const value = useMemo(() => ({
+    night,
+    women,
+    saver,
+    setNight: (v) => setPrefs(p => ({ ...p, night: v })),
+    setWomen: (v) => setPrefs(p => ({ ...p, women: v })),
+    setSaver: (v) => setPrefs(p => ({ ...p, saver: v, saverAuto: false })),
+    saverAuto,
+    autoSaverLevel,
+    lowBatteryLevel,
+    setBatteryLevels: (levels) => setPrefs(p => ({ ...p, ...levels })),
+    // Stretches a polling interval while Battery Saver is on.
+    interval: (ms) => (saver ? ms * SAVER_FACTOR : ms),
+    guardianUpdateMs: (night ? NIGHT_GUARDIAN_UPDATE_MS : GUARDIAN_UPDATE_MS) * (saver ? SAVER_FACTOR : 1),
+  }), [night, women, saver, saverAuto, autoSaverLevel, lowBatteryLevel])
+
+  return <PreferencesContext.Provider value={value}>{children}</PreferencesContext.Provider>
+}
+
+export const usePreferences = () => useContext(PreferencesContext)
@@ -0,0 +1,115 @@
+import { useEffect, useState } from 'react'
+import { useBackend } from './api'
+
+// User-defined routing profiles. Each weight is 0..1: how much the planner
+// should favour that factor. `detour` is how much extra travel time is
+// acceptable, as a fraction of the fastest route.
+export const PROFILE_WEIGHTS = [
+  { key: 'lighting', label: 'Street lighting' },
+  { key: 'crowding', label: 'People around' },
+  { key: 'incidents', label: 'Avoid reported incidents' },
+  { key: 'main_roads', label: 'Prefer main roads' },
+  { key: 'detour', label: 'Detour tolerance' },
+]
+
+export const DEFAULT_WEIGHTS = { lighting: 0.5, crowding: 0.5, incidents: 0.5, main_roads: 0.5, detour: 0.3 }
+
+const EXPORT_FORMAT = 'saferoutes.profiles'
+const PREFIX = 'profile:'
+
+// Profiles share the planner's `mode` state as 'profile:<id>'.
+export const profileMode = (p) => `${PREFIX}${p.id}`
+export const isProfileMode = (mode) => typeof mode === 'string' && mode.startsWith(PREFIX)
+export const profileOf = (mode, profiles = []) => (isProfileMode(mode) ? profiles.find(p => profileMode(p) === mode) || null : null)
+
+export const newProfile = (name = 'My profile') => ({ id: `p_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`, name, weights: { ...DEFAULT_WEIGHTS } })
+
+const clamp01 = (v) => Math.min(1, Math.max(0, Number(v)))
+
+// Checks an imported or server-supplied profile and fills missing weights.
+// Throws with a user-readable message on anything unusable.
+export function normalizeProfile(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('Profile is not an object')
+  const name = String(raw.name || '').trim()
+  if (!name) throw new Error('Profile has no name')
+  const weights = { ...DEFAULT_WEIGHTS }
+  for (const { key } of PROFILE_WEIGHTS) {
+    const v = raw.weights?.[key]
+    if (v == null) continue
+    if (!Number.isFinite(Number(v))) throw new Error(`"${name}": ${key} must be a number`)
+    weights[key] = clamp01(v)
+  }
+  return { id: raw.id || raw._id || newProfile().id, name: name.slice(0, 60), weights }
+}
+
+// What /api/routes/plan receives for a mode: built-in modes by name, profiles
+// as mode 'custom' with their weights.
+export function modePayload(mode, profiles) {
+  const p = profileOf(mode, profiles)
+  if (!p) return { mode }
+  return { mode: 'custom', profile: { id: p.id, name: p.name, weights: p.weights } }
+}
+
+export const exportProfiles = (profiles) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: 1,
+  profiles: profiles.map(({ name, weights }) => ({ name, weights })),
+}, null, 2)
+
+// Accepts our export format, a bare array, or a single profile object.
+export function parseProfiles(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('Not valid JSON')
+  }
+  const list = Array.isArray(data) ? data : Array.isArray(data?.profiles) ? data.profiles : [data]
+  if (!list.length) throw new Error('No profiles in file')
+  // Fresh ids so importing a friend's profile never overwrites one of ours.
+  return list.map(p => ({ ...normalizeProfile(p), id: newProfile().id }))
+}
+
+// The signed-in user's profiles, stored server-side.
+export function useProfiles(uid) {
+  const { get, post, put, del, loading, error, clearError } = useBackend()
+  const [profiles, setProfiles] = useState([])
+
+  const load = async () => {
+    if (!uid) return
+    try {
+      const data = await get(`/api/profiles?user_uid=${encodeURIComponent(uid)}`, { key: 'profiles' })
+      setProfiles((data?.profiles || []).map(p => { try { return normalizeProfile(p) } catch { return null } }).filter(Boolean))
+    } catch {
+      // surfaced through error
+    }
+  }
+
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  useEffect(() => { load() }, [uid])
+
+  const save = async (profile) => {
+    const p = normalizeProfile(profile)
+    const exists = profiles.some(x => x.id === p.id)
+    const data = exists
+      ? await put(`/api/profiles/${encodeURIComponent(p.id)}`, { user_uid: uid, ...p })
+      : await post('/api/profiles', { user_uid: uid, ...p })
+    // The server may assign its own id to new profiles.
+    const saved = data?.profile ? normalizeProfile(data.profile) : p
+    setProfiles(list => (exists ? list.map(x => (x.id === p.id ? saved : x)) : [...list, saved]))
+    return saved
+  }
+
+  const remove = async (id) => {
+    await del(`/api/profiles/${encodeURIComponent(id)}`)
+    setProfiles(list => list.filter(p => p.id !== id))
+  }
+
+  const importMany = async (list) => {
+    const saved = []
+    for (const p of list) saved.push(await save(p))
+    return saved
+  }
+
+  return { profiles, save, remove, importMany, reload: load, loading, error, clearError }
+}
@@ -0,0 +1,59 @@
+export const REPORT_CATEGORIES = [
+  { value: 'dark_spot', label: 'Dark spot', color: '#4b5563' },
+  { value: 'harassment', label: 'Harassment', color: '#dc2626' },
+  { value: 'suspicious_activity', label: 'Suspicious activity', color: '#f59e0b' },
+  { value: 'hazard', label: 'Hazard', color: '#ea580c' },
+  { value: 'other', label: 'Other', color: '#6366f1' },
+]
+
+export const REPORT_AGES = [
+  { value: 24, label: 'Last 24 h' },
+  { value: 24 * 7, label: 'Last 7 days' },
+  { value: 24 * 30, label: 'Last 30 days' },
+  { value: 0, label: 'Any time' },
+]
+
+export const categoryOf = (value) => REPORT_CATEGORIES.find(c => c.value === value) || REPORT_CATEGORIES[REPORT_CATEGORIES.length - 1]
+
+export const reportId = (r) => r._id || r.report_id || r.id
+
+// Query string for GET /api/reports limited to the visible map area.
+export function reportsQuery(bounds, { categories, maxAgeHours }) {
+  const q = new URLSearchParams({
+    min_lat: bounds.south.toFixed(5),
+    min_lon: bounds.west.toFixed(5),
+    max_lat: bounds.north.toFixed(5),
+    max_lon: bounds.east.toFixed(5),
+  })
+  if (categories?.length && categories.length < REPORT_CATEGORIES.length) q.set('categories', categories.join(','))
+  if (maxAgeHours) q.set('since', new Date(Date.now() - maxAgeHours * 3600000).toISOString())
+  return `/api/reports?${q}`
+}
+
+// Greedy screen-space clustering: reports whose projected pixels share a grid
+// cell are grouped. `project` maps { lat, lon } to { x, y } at the current zoom.
+export function clusterReports(reports, project, cellPx = 60) {
+  const cells = new Map()
+  for (const r of reports) {
+    if (!r.location) continue
+    const p = project(r.location)
+    const key = `${Math.floor(p.x / cellPx)}:${Math.floor(p.y / cellPx)}`
+    const cell = cells.get(key)
+    if (cell) cell.reports.push(r)
+    else cells.set(key, { key, reports: [r] })
+  }
+  return [...cells.values()].map(c => ({
+    ...c,
+    lat: c.reports.reduce((a, r) => a + r.location.lat, 0) / c.reports.length,
+    lon: c.reports.reduce((a, r) => a + r.location.lon, 0) / c.reports.length,
+  }))
+}
+
+export function timeAgo(iso) {
+  if (!iso) return ''
+  const mins = Math.round((Date.now() - new Date(iso).getTime()) / 60000)
+  if (mins < 1) return 'just now'
+  if (mins < 60) return `${mins} min ago`
+  if (mins < 60 * 24) return `${Math.round(mins / 60)} h ago`
+  return `${Math.round(mins / 1440)} d ago`
+}
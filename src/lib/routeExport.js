@@ -0,0 +1,141 @@
+import { toGpx, parseGpx } from './gpx'
+
+// Export of planned routes and logged trips to GPX, GeoJSON and CSV, and
+// import of GPX/GeoJSON tracks. Everything goes through one record shape:
+// { name, mode, mode_label, distance_km, eta_minutes, safety_score, created_at, points: [{ lat, lon, name? }] }
+
+const FIELDS = ['name', 'mode', 'mode_label', 'distance_km', 'eta_minutes', 'safety_score', 'created_at']
+const NUMERIC = ['distance_km', 'eta_minutes', 'safety_score']
+
+const num = (v) => (v == null || v === '' || !Number.isFinite(Number(v)) ? null : Number(v))
+const pick = (o) => Object.fromEntries(FIELDS.map(k => [k, NUMERIC.includes(k) ? num(o[k]) : (o[k] ?? null)]))
+
+// The chosen route from /api/routes/plan; geometry is [lat, lon] pairs.
+export const routeRecord = (route, { name, mode, modeLabel } = {}) => ({
+  ...pick({
+    name: name || 'Planned route',
+    mode,
+    mode_label: modeLabel,
+    distance_km: route.distance_m != null ? Number((route.distance_m / 1000).toFixed(3)) : null,
+    eta_minutes: route.eta_minutes,
+    safety_score: route.average_safety_score,
+    created_at: new Date().toISOString(),
+  }),
+  points: (route.geometry?.coordinates || []).map(([lat, lon]) => ({ lat, lon })),
+})
+
+// A logged trip. Without stored geometry the line goes through its stops.
+export const tripRecord = (trip, modeLabel) => ({
+  ...pick({ ...trip, name: `${trip.origin?.label || 'Start'} → ${trip.destination?.label || 'End'}`, mode_label: modeLabel }),
+  points: trip.geometry?.coordinates?.length
+    ? trip.geometry.coordinates.map(([lat, lon]) => ({ lat, lon }))
+    : [trip.origin, ...(trip.waypoints || []), trip.destination].filter(Boolean).map(p => ({ lat: p.lat, lon: p.lon, ...(p.label ? { name: p.label } : {}) })),
+})
+
+export const recordsToGpx = (records, name) => toGpx({
+  name,
+  tracks: records.map(r => ({
+    name: r.name,
+    points: r.points,
+    extensions: Object.fromEntries(FIELDS.filter(k => k !== 'name').map(k => [k, r[k]])),
+  })),
+})
+
+// GeoJSON positions are [lon, lat], the other way round from our geometry.
+export const recordsToGeoJson = (records) => JSON.stringify({
+  type: 'FeatureCollection',
+  features: records.map(({ points, ...props }) => ({
+    type: 'Feature',
+    properties: props,
+    geometry: { type: 'LineString', coordinates: points.map(p => [p.lon, p.lat]) },
+  })),
+}, null, 2)
+
+const csvCell = (v) => {
+  if (v == null) return ''
+  const s = String(v)
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+// One row per route; the line itself goes in `path` as "lat lon;lat lon;…".
+export const recordsToCsv = (records) => {
+  const header = [...FIELDS, 'start_lat', 'start_lon', 'end_lat', 'end_lon', 'path']
+  const rows = records.map(r => {
+    const first = r.points[0]
+    const last = r.points[r.points.length - 1]
+    return [...FIELDS.map(k => r[k]), first?.lat, first?.lon, last?.lat, last?.lon, r.points.map(p => `${p.lat} ${p.lon}`).join(';')]
+  })
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n'
+}
+
+export function parseCsv(text) {
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i]
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++ } else if (c === '"') quoted = false
+      else cell += c
+    } else if (c === '"') quoted = true
+    else if (c === ',') { row.push(cell); cell = '' } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else cell += c
+  }
+  if (cell || row.length) rows.push([...row, cell])
+  const [header = [], ...body] = rows
+  return body.map(r => Object.fromEntries(header.map((h, i) => [h, r[i] ?? ''])))
+}
+
+// Reads our CSV export back into records.
+export const csvToRecords = (text) => parseCsv(text).map(row => ({
+  ...pick(Object.fromEntries(FIELDS.map(k => [k, row[k] === '' ? null : row[k]]))),
+  points: row.path ? row.path.split(';').map(p => { const [lat, lon] = p.split(' ').map(Number); return { lat, lon } }) : [],
+}))
+
+const lineStrings = (geometry) => {
+  if (!geometry) return []
+  if (geometry.type === 'LineString') return [geometry.coordinates]
+  if (geometry.type === 'MultiLineString') return geometry.coordinates
+  if (geometry.type === 'GeometryCollection') return geometry.geometries.flatMap(lineStrings)
+  return []
+}
+
+// Tracks from a GPX or GeoJSON file as records; GPX routes count as tracks.
+// Throws if the file holds no line with at least two points.
+export function parseTrackFile(text) {
+  let records
+  if (text.trim().startsWith('<')) {
+    const gpx = parseGpx(text)
+    records = [...gpx.tracks, ...gpx.routes].map(t => ({
+      ...pick({ ...t.extensions, name: t.name || 'Imported track' }),
+      points: t.points,
+    }))
+  } else {
+    let data
+    try {
+      data = JSON.parse(text)
+    } catch {
+      throw new Error('Not a GPX or GeoJSON file')
+    }
+    const features = data?.type === 'FeatureCollection' ? data.features : data?.type === 'Feature' ? [data] : [{ properties: {}, geometry: data }]
+    records = features.flatMap(f => lineStrings(f?.geometry).map(coords => ({
+      ...pick({ ...f.properties, name: f.properties?.name || 'Imported track' }),
+      points: coords.map(([lon, lat]) => ({ lat, lon })),
+    })))
+  }
+  records = records.filter(r => r.points.length >= 2)
+  if (!records.length) throw new Error('No track in file')
+  return records
+}
+
+export const EXPORT_FORMATS = [
+  { value: 'gpx', label: 'GPX', ext: 'gpx', type: 'application/gpx+xml', write: recordsToGpx },
+  { value: 'geojson', label: 'GeoJSON', ext: 'geojson', type: 'application/geo+json', write: recordsToGeoJson },
+  { value: 'csv', label: 'CSV', ext: 'csv', type: 'text/csv', write: recordsToCsv },
+]
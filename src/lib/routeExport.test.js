@@ -0,0 +1,71 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest'
+import { routeRecord, tripRecord, recordsToGpx, recordsToGeoJson, recordsToCsv, csvToRecords, parseCsv, parseTrackFile } from './routeExport'
+
+const planned = routeRecord({
+  distance_m: 1234.5,
+  eta_minutes: 12.5,
+  average_safety_score: 81,
+  geometry: { coordinates: [[28.6, 77.2], [28.61, 77.21], [28.62, 77.22]] },
+}, { name: 'Home, "work"\nvia park', mode: 'balanced', modeLabel: 'Balanced' })
+
+// No score, ETA or date: numeric fields stay null rather than becoming 0.
+const unscored = tripRecord({
+  mode: 'custom',
+  distance_km: 2,
+  origin: { lat: 1.5, lon: 2.25, label: 'A' },
+  destination: { lat: 3, lon: 4 },
+  waypoints: [],
+}, 'Mine')
+
+const bare = (r) => ({ ...r, points: r.points.map(({ lat, lon }) => ({ lat, lon })) })
+
+describe('GPX', () => {
+  it('round-trips tracks with their fields and point names', () => {
+    expect(parseTrackFile(recordsToGpx([planned, unscored], 'Export'))).toEqual([planned, unscored])
+  })
+
+  it('reads GPX routes as tracks', () => {
+    const xml = '<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1"><rte><name>R</name><rtept lat="1" lon="2"/><rtept lat="3" lon="4"/></rte></gpx>'
+    expect(parseTrackFile(xml)[0]).toMatchObject({ name: 'R', safety_score: null, points: [{ lat: 1, lon: 2 }, { lat: 3, lon: 4 }] })
+  })
+})
+
+describe('GeoJSON', () => {
+  it('round-trips records', () => {
+    expect(parseTrackFile(recordsToGeoJson([planned, unscored]))).toEqual([planned, unscored].map(bare))
+  })
+
+  it('writes positions as [lon, lat]', () => {
+    const feature = JSON.parse(recordsToGeoJson([planned])).features[0]
+    expect(feature.geometry).toEqual({ type: 'LineString', coordinates: [[77.2, 28.6], [77.21, 28.61], [77.22, 28.62]] })
+    expect(feature.properties.safety_score).toBe(81)
+  })
+
+  it('reads bare and multi-line geometries', () => {
+    const multi = { type: 'MultiLineString', coordinates: [[[10, 50], [11, 51]], [[12, 52], [13, 53]]] }
+    const tracks = parseTrackFile(JSON.stringify(multi))
+    expect(tracks).toHaveLength(2)
+    expect(tracks[1].points).toEqual([{ lat: 52, lon: 12 }, { lat: 53, lon: 13 }])
+  })
+
+  it('rejects files without a line', () => {
+    expect(() => parseTrackFile(JSON.stringify({ type: 'Point', coordinates: [1, 2] }))).toThrow('No track in file')
+    expect(() => parseTrackFile('nope')).toThrow('Not a GPX or GeoJSON file')
+  })
+})
+
+describe('CSV', () => {
+  it('round-trips records', () => {
+    expect(csvToRecords(recordsToCsv([planned, unscored]))).toEqual([planned, unscored].map(bare))
+  })
+
+  it('quotes commas, quotes and newlines and leaves nulls empty', () => {
+    const csv = recordsToCsv([planned, unscored])
+    expect(csv).toContain('"Home, ""work""\nvia park",balanced,Balanced,')
+    const [first, second] = parseCsv(csv)
+    expect(first.name).toBe('Home, "work"\nvia park')
+    expect(second.eta_minutes).toBe('')
+    expect(second.safety_score).toBe('')
+  })
+})
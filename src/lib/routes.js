@@ -0,0 +1,45 @@
+// Route identity and the copy of a route stored with a logged trip.
+
+// 53-bit string hash (cyrb53); stable across sessions and devices.
+function hash53(str) {
+  let h1 = 0xdeadbeef
+  let h2 = 0x41c6ce57
+  for (let i = 0; i < str.length; i++) {
+    const c = str.charCodeAt(i)
+    h1 = Math.imul(h1 ^ c, 2654435761)
+    h2 = Math.imul(h2 ^ c, 1597334677)
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36)
+}
+
+// Hash of the full geometry, so two different routes between the same
+// points never share an id and re-planning the same line gives the same one.
+export const contentRouteId = (route) => {
+  const coords = route?.geometry?.coordinates || []
+  return `rh_${hash53(coords.map(([lat, lon]) => `${lat.toFixed(6)},${lon.toFixed(6)}`).join(';'))}_${coords.length}`
+}
+
+// Keeps the backend's id when it sends one.
+export const withRouteId = (route) => (route && !route.route_id ? { ...route, route_id: route.id || contentRouteId(route) } : route)
+
+// What a logged trip keeps of its route, enough to redraw it exactly later.
+export const routeSnapshot = (route) => ({
+  route_id: route.route_id || contentRouteId(route),
+  geometry: route.geometry,
+  ...(route.segments ? { segments: route.segments } : {}),
+  ...(route.segment_scores ? { segment_scores: route.segment_scores } : {}),
+})
+
+// The stored route of a trip in the planner's route shape, or null for
+// trips logged before geometry was kept.
+export const tripRoute = (trip) => (trip?.geometry?.coordinates?.length >= 2 ? {
+  route_id: trip.route_id,
+  geometry: trip.geometry,
+  ...(trip.segments ? { segments: trip.segments } : {}),
+  ...(trip.segment_scores ? { segment_scores: trip.segment_scores } : {}),
+  distance_m: Number(trip.distance_km) * 1000,
+  eta_minutes: trip.eta_minutes,
+  average_safety_score: trip.safety_score,
+} : null)
@@ -0,0 +1,69 @@
+// Normalises per-segment safety from a planned route into drawable runs.
+// The backend may send `segments` ([{ from_index, to_index | coordinates,
+// safety_score, factors }]), a flat `segment_scores` array with one score per
+// coordinate pair, or only `average_safety_score`; the last case yields one
+// run flagged `estimated` so the UI can say the colouring is approximate.
+
+export const SAFETY_LEVELS = [
+  { key: 'safe', min: 75, color: '#16a34a', label: 'Safer (75+)' },
+  { key: 'caution', min: 60, color: '#f59e0b', label: 'Caution (60–74)' },
+  { key: 'unsafe', min: -Infinity, color: '#dc2626', label: 'Unsafe (<60)' },
+]
+
+// Routes or periods without a score are shown as unknown rather than unsafe.
+export const UNKNOWN_LEVEL = { key: 'unknown', min: null, color: '#9ca3af', label: 'Not scored' }
+
+export const safetyLevel = (score) => (score == null || !Number.isFinite(Number(score)) ? UNKNOWN_LEVEL : SAFETY_LEVELS.find(l => Number(score) >= l.min))
+
+const factorList = (f) => {
+  if (!f) return []
+  if (Array.isArray(f)) return f.map(x => (typeof x === 'string' ? x : x.label || x.name)).filter(Boolean)
+  // { lighting: 0.4, crowding: 0.8 } style maps
+  return Object.entries(f).map(([k, v]) => `${k.replace(/_/g, ' ')} ${typeof v === 'number' ? Math.round(v * (v <= 1 ? 100 : 1)) : v}`)
+}
+
+function rawSegments(route) {
+  const coords = route?.geometry?.coordinates || []
+  if (Array.isArray(route?.segments) && route.segments.length) {
+    return route.segments.map(seg => ({
+      positions: seg.coordinates || coords.slice(seg.from_index, (seg.to_index ?? seg.from_index + 1) + 1),
+      score: seg.safety_score ?? seg.score,
+      factors: factorList(seg.factors),
+    }))
+  }
+  if (Array.isArray(route?.segment_scores) && route.segment_scores.length === coords.length - 1) {
+    return route.segment_scores.map((score, i) => ({ positions: [coords[i], coords[i + 1]], score, factors: [] }))
+  }
+  return null
+}
+
+export const hasSegmentData = (route) => !!rawSegments(route)
+
+export function routeSegments(route) {
+  const coords = route?.geometry?.coordinates || []
+  if (coords.length < 2) return []
+  const raw = rawSegments(route)
+  if (!raw) {
+    return [{ positions: coords, score: route.average_safety_score, factors: [], estimated: true, level: safetyLevel(route.average_safety_score) }]
+  }
+  // Join neighbouring pieces of the same level so long routes stay cheap to draw.
+  const runs = []
+  for (const seg of raw) {
+    if (!seg.positions || seg.positions.length < 2) continue
+    const level = safetyLevel(seg.score)
+    const last = runs[runs.length - 1]
+    if (last && last.level === level && !seg.factors.length && !last.factors.length) {
+      last.positions = last.positions.concat(seg.positions.slice(1))
+      last.scores.push(seg.score)
+    } else {
+      runs.push({ positions: seg.positions.slice(), scores: [seg.score], factors: seg.factors, level, estimated: false })
+    }
+  }
+  // Only scored pieces count towards the average; an all-unscored run has no score.
+  return runs.map(({ scores, ...run }) => {
+    const known = scores.filter(s => safetyLevel(s) !== UNKNOWN_LEVEL).map(Number)
+    return { ...run, score: known.length ? Math.round(known.reduce((a, b) => a + b, 0) / known.length) : null }
+  })
+}
+
+export const hasUnscored = (route) => routeSegments(route).some(run => run.level === UNKNOWN_LEVEL)
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest'
+import { safetyLevel, routeSegments, UNKNOWN_LEVEL } from './segments'
+
+describe('safetyLevel', () => {
+  it('buckets scores by threshold', () => {
+    expect(safetyLevel(80).key).toBe('safe')
+    expect(safetyLevel(60).key).toBe('caution')
+    expect(safetyLevel(0).key).toBe('unsafe')
+  })
+
+  it('treats missing scores as unknown, not unsafe', () => {
+    expect(safetyLevel(null)).toBe(UNKNOWN_LEVEL)
+    expect(safetyLevel(undefined)).toBe(UNKNOWN_LEVEL)
+  })
+})
+
+describe('routeSegments', () => {
+  it('colours an unscored route without segment data as unknown', () => {
+    const [run] = routeSegments({ geometry: { coordinates: [[0, 0], [0, 1]] } })
+    expect(run.estimated).toBe(true)
+    expect(run.level).toBe(UNKNOWN_LEVEL)
+  })
+
+  it('leaves a run of unscored segments without a score', () => {
+    const runs = routeSegments({ geometry: { coordinates: [[0, 0], [0, 1], [0, 2]] }, segment_scores: [null, null] })
+    expect(runs).toHaveLength(1)
+    expect(runs[0]).toMatchObject({ level: UNKNOWN_LEVEL, score: null })
+  })
+
+  it('averages only the scored segments of a run', () => {
+    const [run] = routeSegments({ geometry: { coordinates: [[0, 0], [0, 1], [0, 2]] }, segment_scores: [80, 90] })
+    expect(run.score).toBe(85)
+  })
+})
@@ -0,0 +1,52 @@
+// Persisted login session: { access_token, refresh_token, expires_at, user }.
+// Kept framework-free so the API client can read it without React.
+const KEY = 'sr_session'
+const listeners = new Set()
+
+let current = (() => {
+  try {
+    const raw = typeof localStorage !== 'undefined' && localStorage.getItem(KEY)
+    return raw ? JSON.parse(raw) : null
+  } catch {
+    return null
+  }
+})()
+
+const emit = () => listeners.forEach(fn => fn(current))
+
+export const session = {
+  get: () => current,
+  set(next) {
+    current = next
+    try {
+      if (next) localStorage.setItem(KEY, JSON.stringify(next))
+      else localStorage.removeItem(KEY)
+    } catch {}
+    emit()
+  },
+  clear() { session.set(null) },
+  subscribe(fn) {
+    listeners.add(fn)
+    return () => listeners.delete(fn)
+  },
+  headers: () => (current?.access_token ? { Authorization: `Bearer ${current.access_token}` } : {}),
+}
+
+// Normalises the token payload returned by /api/auth/login and /api/auth/refresh.
+export function toSession(data, previous = null) {
+  return {
+    access_token: data.access_token,
+    refresh_token: data.refresh_token || previous?.refresh_token || null,
+    expires_at: data.expires_in ? Date.now() + data.expires_in * 1000 : null,
+    user: data.user || previous?.user || null,
+  }
+}
+
+// Other tabs logging in or out should be reflected here too.
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (e) => {
+    if (e.key !== KEY) return
+    try { current = e.newValue ? JSON.parse(e.newValue) : null } catch { current = null }
+    emit()
+  })
+}
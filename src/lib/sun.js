@@ -0,0 +1,66 @@
+// Sunrise/sunset and civil twilight for a date and place, computed on the
+// client (the standard solar position formulas used by SunCalc and NOAA;
+// accurate to about a minute, which is plenty for picking a time bucket).
+
+const DAY_MS = 86400000
+const J1970 = 2440588
+const J2000 = 2451545
+const J0 = 0.0009
+const rad = Math.PI / 180
+const OBLIQUITY = rad * 23.4397
+
+const toDays = (date) => date.valueOf() / DAY_MS - 0.5 + J1970 - J2000
+const fromJulian = (j) => new Date((j + 0.5 - J1970) * DAY_MS)
+
+const meanAnomaly = (d) => rad * (357.5291 + 0.98560028 * d)
+const eclipticLongitude = (M) => {
+  const C = rad * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M))
+  return M + C + rad * 102.9372 + Math.PI
+}
+const declination = (L) => Math.asin(Math.sin(OBLIQUITY) * Math.sin(L))
+const transitJ = (ds, M, L) => J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L)
+
+// { sunrise, sunset, dawn, dusk } as Dates for the solar day containing `date`.
+// Values are null during polar day/night when the sun never crosses that angle.
+export function sunTimes(date, lat, lon) {
+  const lw = rad * -lon
+  const phi = rad * lat
+  const n = Math.round(toDays(date) - J0 - lw / (2 * Math.PI))
+  const ds = J0 + lw / (2 * Math.PI) + n
+  const M = meanAnomaly(ds)
+  const L = eclipticLongitude(M)
+  const dec = declination(L)
+  const noon = transitJ(ds, M, L)
+
+  const at = (angle) => {
+    const cosH = (Math.sin(rad * angle) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec))
+    if (cosH < -1 || cosH > 1) return null
+    const w = Math.acos(cosH)
+    const set = transitJ(J0 + (w + lw) / (2 * Math.PI) + n, M, L)
+    return { rise: fromJulian(noon - (set - noon)), set: fromJulian(set) }
+  }
+  const horizon = at(-0.833)
+  const civil = at(-6)
+  return {
+    sunrise: horizon?.rise || null,
+    sunset: horizon?.set || null,
+    dawn: civil?.rise || null,
+    dusk: civil?.set || null,
+    // Sign of the noon altitude tells polar day from polar night.
+    polar: horizon ? null : (Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) > 0 ? 'day' : 'night'),
+  }
+}
+
+// Maps a moment to the planner's time_of_day buckets: 'day' between sunrise
+// and sunset, 'dawn_dusk' during civil twilight, otherwise 'night'.
+export function timeOfDayAt(date, { lat, lon }) {
+  const t = sunTimes(date, lat, lon)
+  if (t.polar) return t.polar
+  if (t.sunrise <= date && date < t.sunset) return 'day'
+  const dawn = t.dawn || t.sunrise
+  const dusk = t.dusk || t.sunset
+  if ((dawn <= date && date < t.sunrise) || (t.sunset <= date && date < dusk)) return 'dawn_dusk'
+  return 'night'
+}
+
+export const formatClock = (date) => (date ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '—')
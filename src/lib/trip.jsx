@@ -0,0 +1,28 @@
+import { createContext, useContext, useMemo, useState } from 'react'
+
+// The trip currently being travelled (navigation started in the Planner).
+// Other sections read it to monitor the user against the planned route.
+// `plan` is the start/end currently set in the Planner, before any trip starts.
+const TripContext = createContext(null)
+
+export function TripProvider({ children }) {
+  const [trip, setTrip] = useState(null)
+  const [plan, setPlan] = useState(null)
+
+  const value = useMemo(() => ({
+    trip,
+    startTrip: (t) => setTrip({ ...t, startedAt: Date.now() }),
+    updateRoute: (route) => setTrip(t => (t ? { ...t, route } : t)),
+    endTrip: () => setTrip(null),
+    plan,
+    setPlan,
+  }), [trip, plan])
+
+  return <TripContext.Provider value={value}>{children}</TripContext.Provider>
+}
+
+export function useTrip() {
+  const ctx = useContext(TripContext)
+  if (!ctx) throw new Error('useTrip must be used inside <TripProvider>')
+  return ctx
+}
@@ -0,0 +1,101 @@
+import { useEffect, useRef, useState } from 'react'
+import { useBackend } from './api'
+
+export const TRIP_PAGE_SIZE = 20
+const SEARCH_DEBOUNCE_MS = 350
+
+export const EMPTY_TRIP_FILTERS = { mode: 'all', from: '', to: '', minSafety: '', minKm: '', maxKm: '', q: '' }
+
+export const hasTripFilters = (f) => Object.keys(EMPTY_TRIP_FILTERS).some(k => f[k] !== EMPTY_TRIP_FILTERS[k])
+
+// Query string for GET /api/trips. Dates are the user's local calendar days,
+// sent as an inclusive range of instants.
+export function tripsQuery(uid, f, cursor, limit = TRIP_PAGE_SIZE) {
+  const q = new URLSearchParams({ user_uid: uid, limit: String(limit) })
+  if (cursor) q.set('cursor', cursor)
+  if (f.mode && f.mode !== 'all') q.set('mode', f.mode)
+  if (f.from) q.set('from', new Date(`${f.from}T00:00:00`).toISOString())
+  if (f.to) q.set('to', new Date(`${f.to}T23:59:59.999`).toISOString())
+  if (f.minSafety !== '') q.set('min_safety', f.minSafety)
+  if (f.minKm !== '') q.set('min_km', f.minKm)
+  if (f.maxKm !== '') q.set('max_km', f.maxKm)
+  if (f.q.trim()) q.set('q', f.q.trim())
+  return `/api/trips?${q}`
+}
+
+// Cursor-paginated trip history. Filter changes start again from the first
+// page; typing in the search box is debounced.
+export function useTripHistory(uid, filters) {
+  const { get, loading, error, clearError } = useBackend()
+  const [page, setPage] = useState({ trips: [], cursor: null, hasMore: false })
+  const [applied, setApplied] = useState(filters)
+  const generation = useRef(0)
+
+  useEffect(() => {
+    const wait = filters.q !== applied.q ? SEARCH_DEBOUNCE_MS : 0
+    const t = setTimeout(() => setApplied(filters), wait)
+    return () => clearTimeout(t)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filters])
+
+  const fetchPage = async (cursor) => {
+    if (!uid) return
+    const gen = generation.current
+    try {
+      const data = await get(tripsQuery(uid, applied, cursor), { key: 'trips' })
+      // A newer filter set has been applied since this request went out.
+      if (gen !== generation.current) return
+      const trips = data?.trips || []
+      const next = data?.next_cursor ?? null
+      setPage(p => ({
+        trips: cursor ? [...p.trips, ...trips.filter(t => !p.trips.some(x => x._id === t._id))] : trips,
+        cursor: next,
+        hasMore: !!next,
+      }))
+    } catch {}
+  }
+
+  const reload = () => {
+    generation.current += 1
+    return fetchPage(null)
+  }
+
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  useEffect(() => { reload() }, [uid, applied])
+
+  return {
+    trips: page.trips,
+    hasMore: page.hasMore,
+    loadMore: () => (page.hasMore && !loading ? fetchPage(page.cursor) : undefined),
+    reload,
+    drop: (id) => setPage(p => ({ ...p, trips: p.trips.filter(t => t._id !== id) })),
+    loading,
+    error,
+    clearError,
+  }
+}
+
+export const STAT_PERIODS = [
+  { value: 'week', label: 'Weekly', span: 12 },
+  { value: 'month', label: 'Monthly', span: 12 },
+]
+
+// Aggregates per week or month from GET /api/trips/stats:
+// { buckets: [{ start, trips, km, avg_safety, modes: { [mode]: count } }] }
+export function useTripStats(uid, period, { enabled = true } = {}) {
+  const { get, loading, error } = useBackend()
+  const [buckets, setBuckets] = useState([])
+
+  useEffect(() => {
+    if (!uid || !enabled) return
+    const { span } = STAT_PERIODS.find(p => p.value === period)
+    const from = new Date()
+    if (period === 'week') from.setDate(from.getDate() - span * 7)
+    else from.setMonth(from.getMonth() - span)
+    const q = new URLSearchParams({ user_uid: uid, group_by: period, from: from.toISOString() })
+    get(`/api/trips/stats?${q}`, { key: 'stats' }).then(d => setBuckets(d?.buckets || [])).catch(() => {})
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [uid, period, enabled])
+
+  return { buckets, loading, error }
+}
@@ -0,0 +1,87 @@
+import { useEffect, useRef, useState } from 'react'
+import { haversine, toPoints, distanceToRoute } from './geo'
+
+export const STATIONARY_RADIUS_M = 25
+export const CHECK_INTERVAL_MS = 60000
+
+// Tracks how long the user has stayed within a small radius. The anchor moves
+// whenever a sample lands clearly outside it (allowing for GPS accuracy).
+export function createStationaryTracker(radius = STATIONARY_RADIUS_M) {
+  let anchor = null
+  return {
+    add(sample) {
+      const t = sample.timestamp || Date.now()
+      const slack = Math.max(radius, sample.accuracy || 0)
+      if (!anchor || haversine(anchor, sample) > slack) anchor = { lat: sample.lat, lon: sample.lon, since: t }
+      return (t - anchor.since) / 60000
+    },
+    minutes: (now = Date.now()) => (anchor ? (now - anchor.since) / 60000 : 0),
+    reset() { anchor = null },
+  }
+}
+
+// Local estimate of how risky the current situation is, 0..1, sent as
+// risk_level. Starts from the route's safety and adds for deviation and long stops.
+export function riskLevel({ route, offRouteM, stationaryMinutes, night }) {
+  const safety = route?.average_safety_score
+  let risk = safety != null ? 1 - safety / 100 : 0.3
+  if (offRouteM > 100) risk += 0.25
+  if (offRouteM > 300) risk += 0.15
+  if (stationaryMinutes >= 5) risk += 0.2
+  if (night) risk += 0.1
+  return Math.max(0, Math.min(1, Number(risk.toFixed(2))))
+}
+
+// Samples position while `active` and periodically asks the backend whether
+// the situation warrants an automatic SOS. `check(payload)` performs the call.
+export function useTripMonitor({ active, route, position, night, check, interval = CHECK_INTERVAL_MS }) {
+  const tracker = useRef(createStationaryTracker())
+  const [stats, setStats] = useState({ stationaryMinutes: 0, offRouteM: null, lastCheck: null, lastResult: null })
+  const live = useRef({})
+  live.current = { route, position, night, check }
+
+  useEffect(() => {
+    tracker.current.reset()
+    setStats({ stationaryMinutes: 0, offRouteM: null, lastCheck: null, lastResult: null })
+  }, [active])
+
+  useEffect(() => {
+    if (!active || !position || position.manual) return
+    const stationaryMinutes = tracker.current.add(position)
+    const points = toPoints(route?.geometry?.coordinates)
+    const offRouteM = points.length ? distanceToRoute(points, position) : null
+    setStats(s => ({ ...s, stationaryMinutes, offRouteM }))
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [active, route, position?.lat, position?.lon, position?.timestamp])
+
+  const payload = () => {
+    const { route, night } = live.current
+    const stationaryMinutes = tracker.current.minutes()
+    const offRouteM = stats.offRouteM
+    return {
+      risk_level: riskLevel({ route, offRouteM, stationaryMinutes, night }),
+      is_stationary_minutes: Number(stationaryMinutes.toFixed(1)),
+      off_route_m: offRouteM == null ? null : Math.round(offRouteM),
+      fall_detected: false,
+      heart_rate: null,
+      hr_baseline: null,
+    }
+  }
+
+  const runCheck = async () => {
+    const body = payload()
+    const result = await live.current.check(body)
+    setStats(s => ({ ...s, lastCheck: Date.now(), lastResult: result, stationaryMinutes: body.is_stationary_minutes }))
+    return result
+  }
+
+  const runRef = useRef(runCheck)
+  runRef.current = runCheck
+  useEffect(() => {
+    if (!active) return
+    const t = setInterval(() => { runRef.current().catch(() => {}) }, interval)
+    return () => clearInterval(t)
+  }, [active, interval])
+
+  return { ...stats, payload, runCheck }
+}
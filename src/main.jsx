@@ -3,15 +3,27 @@ import ReactDOM from 'react-dom/client'
 import { BrowserRouter, Routes, Route } from 'react-router-dom'
 import App from './App'
 import Test from './Test'
+import Login from './Login'
+import Moderation from './Moderation'
+import Track from './Track'
+import { AuthProvider, RequireAuth } from './lib/auth'
+import { GeolocationProvider } from './lib/geolocation'
+import { TripProvider } from './lib/trip'
+import { PreferencesProvider } from './lib/preferences'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <BrowserRouter>
-      <Routes>
-        <Route path="/" element={<App />} />
-        <Route path="/test" element={<Test />} />
-      </Routes>
+      <AuthProvider>
+        <Routes>
+          <Route path="/" element={<RequireAuth><GeolocationProvider><PreferencesProvider><TripProvider><App /></TripProvider></PreferencesProvider></GeolocationProvider></RequireAuth>} />
+          <Route path="/moderation" element={<RequireAuth role="moderator"><Moderation /></RequireAuth>} />
+          <Route path="/login" element={<Login />} />
+          <Route path="/track/:token" element={<Track />} />
+          <Route path="/test" element={<Test />} />
+        </Routes>
+      </AuthProvider>
     </BrowserRouter>
   </React.StrictMode>,
-)
\ No newline at end of file
+)